@@ -1,9 +1,15 @@
 import express from "express"
 import cors from "cors"
 import cookieParser from "cookie-parser"
+import localStorage from "./storage/local.storage.js"
+import { serveLocalStorage } from "./middlewares/localStorage.middleware.js"
 
 const app = express()
 
+// TRUST_PROXY is the number of proxies in front of the app, so that req.ip
+// (which rate limits are keyed by) is the client and not the proxy
+app.set("trust proxy", (_, hop) => hop < (Number(process.env.TRUST_PROXY) || 0))
+
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
     credentials: true
@@ -11,6 +17,8 @@ app.use(cors({
 
 app.use(express.json({limit: "16kb"}))
 app.use(express.urlencoded({extended: true, limit: "16kb"}))
+// stored files go through the signature check instead of express.static
+app.use(localStorage.getUrlPath(), serveLocalStorage)
 app.use(express.static("public"))
 app.use(cookieParser())
 
@@ -25,6 +33,11 @@ import commentRouter from "./routes/comment.routes.js"
 import likeRouter from "./routes/like.routes.js"
 import playlistRouter from "./routes/playlist.routes.js"
 import dashboardRouter from "./routes/dashboard.routes.js"
+import uploadRouter from "./routes/upload.routes.js"
+import adminRouter from "./routes/admin.routes.js"
+import feedRouter from "./routes/feed.routes.js"
+import notificationRouter from "./routes/notification.routes.js"
+import oauthRouter from "./routes/oauth.routes.js"
 
 //routes declaration
 app.use("/api/v1/healthcheck", healthcheckRouter)
@@ -36,6 +49,17 @@ app.use("/api/v1/comments", commentRouter)
 app.use("/api/v1/likes", likeRouter)
 app.use("/api/v1/playlist", playlistRouter)
 app.use("/api/v1/dashboard", dashboardRouter)
+app.use("/api/v1/uploads", uploadRouter)
+app.use("/api/v1/admin", adminRouter)
+app.use("/api/v1/feed", feedRouter)
+app.use("/api/v1/notifications", notificationRouter)
+app.use("/api/v1/oauth", oauthRouter)
+
+// has to come after all routes
+import { notFoundHandler, errorHandler } from "./middlewares/error.middleware.js"
+
+app.use(notFoundHandler)
+app.use(errorHandler)
 
 // http://localhost:8000/api/v1/users/register
 
@@ -0,0 +1,232 @@
+import {User} from "../models/user.model.js"
+import {Video} from "../models/video.model.js"
+import {Tweet} from "../models/tweet.model.js"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {hasPermission, outranks} from "../utils/permissions.js"
+import {revokeAllSessions} from "../services/session.service.js"
+import {softDeleteComment} from "../services/comment.service.js"
+import {deleteReactions} from "../services/reaction.service.js"
+
+// Moderation endpoints, every route is guarded by requirePermission in admin.routes.js
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// the target has to exist, must not be the caller and must rank below the caller
+const findModeratableUser = async (userId, actor) => {
+    if (userId === actor._id.toString()) {
+        throw new ApiError(400, "You can't moderate your own account")
+    }
+
+    const user = await User.findById(userId).select("-password")
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    if (!outranks(actor, user)) {
+        throw new ApiError(403, "You can't moderate an account with the same or a higher role")
+    }
+
+    return user
+}
+
+const listUsers = asyncHandler(async (req, res) => {
+    const { page, limit, query, role, status } = req.query
+
+    const match = {}
+    if (role) match.role = role
+    if (status) match.status = status
+    if (query) {
+        const pattern = new RegExp(escapeRegex(query), "i")
+        match.$or = [{ username: pattern }, { email: pattern }, { fullName: pattern }]
+    }
+
+    const users = await User.aggregatePaginate(
+        User.aggregate([
+            { $match: match },
+            { $sort: { createdAt: -1 } },
+            {
+                $project: {
+                    username: 1,
+                    email: 1,
+                    fullName: 1,
+                    avatar: 1,
+                    role: 1,
+                    status: 1,
+                    moderation: 1,
+                    isEmailVerified: 1,
+                    createdAt: 1
+                }
+            }
+        ]),
+        { page, limit }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"))
+})
+
+const suspendUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { reason, until } = req.body
+
+    const user = await findModeratableUser(userId, req.user)
+
+    if (user.status === "banned") {
+        throw new ApiError(409, "User is banned")
+    }
+
+    user.status = "suspended"
+    user.moderation = { reason, until, by: req.user._id, at: new Date() }
+    await user.save({ validateBeforeSave: false })
+
+    await revokeAllSessions(user._id, { reason: "suspended" })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User suspended"))
+})
+
+const banUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { reason } = req.body
+
+    const user = await findModeratableUser(userId, req.user)
+
+    user.status = "banned"
+    user.moderation = { reason, by: req.user._id, at: new Date() }
+    await user.save({ validateBeforeSave: false })
+
+    await revokeAllSessions(user._id, { reason: "banned" })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User banned"))
+})
+
+// lifts a suspension or a ban, lifting a ban needs users:ban
+const reinstateUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+
+    const user = await findModeratableUser(userId, req.user)
+
+    if (user.status === "active") {
+        throw new ApiError(409, "User is not suspended or banned")
+    }
+
+    if (user.status === "banned" && !hasPermission(req.user, "users:ban")) {
+        throw new ApiError(403, "You do not have permission to lift a ban")
+    }
+
+    user.status = "active"
+    user.moderation = undefined
+    await user.save({ validateBeforeSave: false })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User reinstated"))
+})
+
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { role } = req.body
+
+    const user = await findModeratableUser(userId, req.user)
+
+    user.role = role
+    await user.save({ validateBeforeSave: false })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated"))
+})
+
+const unpublishVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { reason } = req.body
+
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        {
+            $set: {
+                isPublished: false,
+                moderation: { reason, by: req.user._id, at: new Date() }
+            },
+            $unset: { publishAt: 1 }
+        },
+        { new: true }
+    ).select("title owner isPublished moderation")
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unpublished"))
+})
+
+// lets the owner publish the video again, it stays unpublished until they do
+const restoreVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        { $unset: { moderation: 1 } },
+        { new: true }
+    ).select("title owner isPublished")
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video restored"))
+})
+
+const deleteAnyComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+
+    // soft delete like the author's own delete, replies stay in their thread
+    const comment = await softDeleteComment(commentId)
+
+    if (!comment) {
+        throw new ApiError(404, "Comment not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted"))
+})
+
+const deleteAnyTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+
+    const tweet = await Tweet.findByIdAndDelete(tweetId)
+
+    if (!tweet) {
+        throw new ApiError(404, "Tweet not found")
+    }
+
+    await deleteReactions("Tweet", tweet._id)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Tweet deleted"))
+})
+
+export {
+    listUsers,
+    suspendUser,
+    banUser,
+    reinstateUser,
+    updateUserRole,
+    unpublishVideo,
+    restoreVideo,
+    deleteAnyComment,
+    deleteAnyTweet
+}
@@ -1,31 +1,260 @@
 import mongoose from "mongoose"
 import {Comment} from "../models/comment.model.js"
+import {Video} from "../models/video.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {viewableVideoMatch} from "../services/video.service.js"
+import {softDeleteComment} from "../services/comment.service.js"
+import {viewerReactionStages} from "../services/reaction.service.js"
+import {notifyComment} from "../services/notification.service.js"
+import {recordVideoMetrics} from "../services/analytics.service.js"
+
+const COMMENT_SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    oldest: { createdAt: 1, _id: 1 },
+    top: { "reactionCounts.like": -1, createdAt: -1, _id: -1 }
+}
+
+// shared by top level comments and replies, the pinned comment always comes first
+const commentListPipeline = ({ match, sort, viewerId, pinnedComment }) => [
+    {
+        $match: match
+    },
+    {
+        $addFields: {
+            isPinned: pinnedComment ? { $eq: ["$_id", pinnedComment] } : { $literal: false }
+        }
+    },
+    {
+        $sort: { isPinned: -1, ...COMMENT_SORTS[sort] }
+    },
+    {
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+                {
+                    $project: {
+                        fullName: 1,
+                        username: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            // deleted comments don't reveal who wrote them
+            owner: { $cond: ["$isDeleted", null, { $first: "$owner" }] },
+            likesCount: { $ifNull: ["$reactionCounts.like", 0] },
+            dislikesCount: { $ifNull: ["$reactionCounts.dislike", 0] }
+        }
+    },
+    // viewer specific, only for logged in requests
+    ...viewerReactionStages("Comment", viewerId)
+]
+
+const findViewableVideo = async (videoId, user) => {
+    const video = await Video.findOne({ _id: videoId, ...viewableVideoMatch(user) })
+    .select("owner pinnedComment")
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+    return video
+}
+
+const findOwnedComment = async (commentId, user) => {
+    const comment = await Comment.findById(commentId)
+
+    if (!comment || comment.isDeleted) {
+        throw new ApiError(404, "Comment not found")
+    }
+
+    if (comment.owner?.toString() !== user?._id?.toString()) {
+        throw new ApiError(403, "You are not allowed to modify this comment")
+    }
+
+    return comment
+}
 
 const getVideoComments = asyncHandler(async (req, res) => {
-    //TODO: get all comments for a video
     const {videoId} = req.params
-    const {page = 1, limit = 10} = req.query
+    const {page, limit, sort} = req.query
+
+    const video = await findViewableVideo(videoId, req.user)
 
+    const comments = Comment.aggregate(commentListPipeline({
+        match: {
+            video: video._id,
+            parent: null,
+            // deleted comments only stay visible while they hold a thread together
+            $or: [{ isDeleted: { $ne: true } }, { replyCount: { $gt: 0 } }]
+        },
+        sort,
+        viewerId: req.user?._id,
+        pinnedComment: video.pinnedComment
+    }))
+
+    const result = await Comment.aggregatePaginate(comments, { page, limit })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Comments fetched successfully"))
+})
+
+const getCommentReplies = asyncHandler(async (req, res) => {
+    const {commentId} = req.params
+    const {page, limit, sort} = req.query
+
+    const parent = await Comment.findById(commentId).select("video parent")
+
+    if (!parent || parent.parent) {
+        throw new ApiError(404, "Comment not found")
+    }
+
+    await findViewableVideo(parent.video, req.user)
+
+    const replies = Comment.aggregate(commentListPipeline({
+        match: {
+            parent: parent._id,
+            isDeleted: { $ne: true }
+        },
+        sort,
+        viewerId: req.user?._id
+    }))
+
+    const result = await Comment.aggregatePaginate(replies, { page, limit })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Replies fetched successfully"))
 })
 
 const addComment = asyncHandler(async (req, res) => {
-    // TODO: add a comment to a video
+    const {videoId} = req.params
+    const {content, parentId} = req.body
+
+    const video = await findViewableVideo(videoId, req.user)
+
+    let parent = null
+    let parentOwner = null
+    if (parentId) {
+        const replyTo = await Comment.findOne({ _id: parentId, video: video._id })
+
+        if (!replyTo) {
+            throw new ApiError(404, "Parent comment not found")
+        }
+        // keeps threads one level deep, the author replied to still gets notified
+        parent = replyTo.parent || replyTo._id
+        parentOwner = replyTo.isDeleted ? null : replyTo.owner
+    }
+
+    const comment = await Comment.create({
+        content,
+        video: video._id,
+        owner: req.user._id,
+        parent
+    })
+
+    if (parent) {
+        await Comment.updateOne({ _id: parent }, { $inc: { replyCount: 1 } })
+    }
+
+    await recordVideoMetrics(video, { comments: 1 })
+    await notifyComment({ comment, videoOwner: video.owner, parentOwner })
+
+    return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"))
 })
 
 const updateComment = asyncHandler(async (req, res) => {
-    // TODO: update a comment
+    const {commentId} = req.params
+    const {content} = req.body
+
+    const comment = await findOwnedComment(commentId, req.user)
+
+    comment.content = content
+    comment.isEdited = true
+    comment.editedAt = new Date()
+    await comment.save()
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully"))
 })
 
 const deleteComment = asyncHandler(async (req, res) => {
-    // TODO: delete a comment
+    const {commentId} = req.params
+
+    await findOwnedComment(commentId, req.user)
+    await softDeleteComment(commentId)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"))
+})
+
+// only the video owner can pin, and only one top level comment at a time
+const findPinnableComment = async (commentId, user) => {
+    const comment = await Comment.findById(commentId).select("video parent isDeleted")
+
+    if (!comment || comment.isDeleted) {
+        throw new ApiError(404, "Comment not found")
+    }
+
+    const video = await Video.findById(comment.video).select("owner pinnedComment")
+
+    if (video?.owner?.toString() !== user._id.toString()) {
+        throw new ApiError(403, "Only the owner of the video can pin comments")
+    }
+
+    if (comment.parent) {
+        throw new ApiError(400, "Replies can't be pinned")
+    }
+
+    return { comment, video }
+}
+
+const pinComment = asyncHandler(async (req, res) => {
+    const {commentId} = req.params
+
+    const { comment, video } = await findPinnableComment(commentId, req.user)
+
+    // replaces whatever was pinned before
+    await Video.updateOne({ _id: video._id }, { $set: { pinnedComment: comment._id } })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { pinnedComment: comment._id }, "Comment pinned"))
+})
+
+const unpinComment = asyncHandler(async (req, res) => {
+    const {commentId} = req.params
+
+    const { comment, video } = await findPinnableComment(commentId, req.user)
+
+    await Video.updateOne(
+        { _id: video._id, pinnedComment: comment._id },
+        { $unset: { pinnedComment: 1 } }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { pinnedComment: null }, "Comment unpinned"))
 })
 
 export {
-    getVideoComments, 
-    addComment, 
+    getVideoComments,
+    getCommentReplies,
+    addComment,
     updateComment,
-     deleteComment
+    deleteComment,
+    pinComment,
+    unpinComment
     }
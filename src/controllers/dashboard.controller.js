@@ -1,20 +1,148 @@
 import mongoose from "mongoose"
 import {Video} from "../models/video.model.js"
 import {Subscription} from "../models/subscription.model.js"
-import {Like} from "../models/like.model.js"
+import {Comment} from "../models/comment.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {getChannelTimeSeries, getTopVideos, getVideoTimeSeries} from "../services/analytics.service.js"
 
+const CHANNEL_VIDEO_SORTS = {
+    createdAt: "createdAt",
+    views: "views",
+    likes: "reactionCounts.like"
+}
+
+const toDay = (date) => date.toISOString().slice(0, 10)
+
+// lifetime totals come from the counters on the videos, everything inside the
+// range from the daily rollups, see services/analytics.service.js
 const getChannelStats = asyncHandler(async (req, res) => {
-    // TODO: Get the channel stats like total video views, total subscribers, total videos, total likes etc.
+    const { from, to, topBy, topLimit } = req.query
+    const channel = new mongoose.Types.ObjectId(req.user._id)
+
+    const [[videoTotals], totalSubscribers, { series, totals }, topVideos] = await Promise.all([
+        Video.aggregate([
+            {
+                $match: { owner: channel }
+            },
+            {
+                $group: {
+                    _id: null,
+                    totalVideos: { $sum: 1 },
+                    totalViews: { $sum: "$views" },
+                    totalLikes: { $sum: { $ifNull: ["$reactionCounts.like", 0] } }
+                }
+            }
+        ]),
+        Subscription.countDocuments({ channel }),
+        getChannelTimeSeries({ channel, from, to }),
+        getTopVideos({ channel, from, to, sortBy: topBy, limit: topLimit })
+    ])
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        {
+            totals: {
+                totalVideos: videoTotals?.totalVideos ?? 0,
+                totalViews: videoTotals?.totalViews ?? 0,
+                totalLikes: videoTotals?.totalLikes ?? 0,
+                totalSubscribers
+            },
+            range: { from: toDay(from), to: toDay(to) },
+            period: {
+                ...totals,
+                netSubscribers: totals.subscribers - totals.unsubscribes
+            },
+            timeSeries: series,
+            topVideos
+        },
+        "Channel stats fetched successfully"
+    ))
 })
 
+// every video of the logged in channel, whatever its visibility or state
 const getChannelVideos = asyncHandler(async (req, res) => {
-    // TODO: Get all the videos uploaded by the channel
+    const {page, limit, sortBy, sortType} = req.query
+    const direction = sortType === "asc" ? 1 : -1
+
+    const videos = await Video.aggregatePaginate(
+        Video.aggregate([
+            {
+                $match: {
+                    owner: new mongoose.Types.ObjectId(req.user._id)
+                }
+            },
+            {
+                $sort: { [CHANNEL_VIDEO_SORTS[sortBy]]: direction, _id: direction }
+            },
+            {
+                $project: {
+                    title: 1,
+                    thumbnail: 1,
+                    duration: 1,
+                    views: 1,
+                    likesCount: { $ifNull: ["$reactionCounts.like", 0] },
+                    dislikesCount: { $ifNull: ["$reactionCounts.dislike", 0] },
+                    visibility: 1,
+                    isPublished: 1,
+                    publishAt: 1,
+                    publishedAt: 1,
+                    processingStatus: 1,
+                    moderation: 1,
+                    createdAt: 1
+                }
+            }
+        ]),
+        { page, limit }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"))
+})
+
+const getVideoStats = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { from, to } = req.query
+
+    const video = await Video.findOne({ _id: videoId, owner: req.user._id })
+    .select("title thumbnail duration views reactionCounts visibility isPublished publishedAt createdAt")
+    .lean()
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    const [totalComments, { series, totals }] = await Promise.all([
+        Comment.countDocuments({ video: video._id, isDeleted: { $ne: true } }),
+        getVideoTimeSeries({ video: video._id, from, to })
+    ])
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        {
+            video,
+            totals: {
+                totalViews: video.views,
+                totalLikes: video.reactionCounts?.like ?? 0,
+                totalDislikes: video.reactionCounts?.dislike ?? 0,
+                totalComments
+            },
+            range: { from: toDay(from), to: toDay(to) },
+            period: totals,
+            timeSeries: series
+        },
+        "Video stats fetched successfully"
+    ))
 })
 
 export {
     getChannelStats, 
-    getChannelVideos
-    }
\ No newline at end of file
+    getChannelVideos,
+    getVideoStats
+    }
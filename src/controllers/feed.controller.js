@@ -0,0 +1,50 @@
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {MAX_UNREAD_COUNT, countUnread, getFeed, markFeedSeen} from "../services/feed.service.js"
+
+// Opening the first page counts as a visit: the unread count is taken against
+// the previous visit and the visit time moves forward. Later pages don't.
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+    const { limit, cursor } = req.query
+    const lastVisitAt = req.user.feedSeenAt ?? null
+
+    const feed = await getFeed({ userId: req.user._id, cursor, limit })
+
+    let unreadCount
+    if (!cursor) {
+        const visitedAt = new Date()
+        unreadCount = await countUnread({ userId: req.user._id, since: lastVisitAt })
+        await markFeedSeen(req.user._id, visitedAt)
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        {
+            ...feed,
+            lastVisitAt,
+            ...(unreadCount !== undefined ? { unreadCount, maxUnreadCount: MAX_UNREAD_COUNT } : {})
+        },
+        "Feed fetched successfully"
+    ))
+})
+
+// for badges, doesn't count as a visit
+const getFeedUnreadCount = asyncHandler(async (req, res) => {
+    const lastVisitAt = req.user.feedSeenAt ?? null
+    const unreadCount = await countUnread({ userId: req.user._id, since: lastVisitAt })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        { unreadCount, maxUnreadCount: MAX_UNREAD_COUNT, lastVisitAt },
+        "Unread count fetched successfully"
+    ))
+})
+
+export {
+    getSubscriptionFeed,
+    getFeedUnreadCount
+}
@@ -1,33 +1,157 @@
-import mongoose, {isValidObjectId} from "mongoose"
-import {Like} from "../models/like.model.js"
-import {ApiError} from "../utils/ApiError.js"
+import mongoose from "mongoose"
+import {Reaction} from "../models/reaction.model.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {viewableVideoMatch} from "../services/video.service.js"
+import {
+    findReactableTarget,
+    getReactionCounts,
+    removeReaction,
+    setReaction,
+    toggleReaction
+} from "../services/reaction.service.js"
+import {notifyReaction} from "../services/notification.service.js"
 
-const toggleVideoLike = asyncHandler(async (req, res) => {
-    const {videoId} = req.params
-    //TODO: toggle like on video
+// the toggle routes take the reaction from ?type=, defaulting to a like
+const toggle = (targetType, param) => asyncHandler(async (req, res) => {
+    const targetId = req.params[param]
+    const { type } = req.query
+
+    await findReactableTarget(targetType, targetId, req.user)
+
+    const reaction = await toggleReaction({ targetType, targetId, user: req.user._id, type })
+    const reactionCounts = await getReactionCounts(targetType, targetId)
+    await notifyReaction({ targetType, targetId, actor: req.user._id, type: reaction })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        { reaction, isLiked: reaction === "like", reactionCounts },
+        reaction ? `${targetType} reaction set` : `${targetType} reaction removed`
+    ))
 })
 
-const toggleCommentLike = asyncHandler(async (req, res) => {
-    const {commentId} = req.params
-    //TODO: toggle like on comment
+const toggleVideoLike = toggle("Video", "videoId")
+
+const toggleCommentLike = toggle("Comment", "commentId")
+
+const toggleTweetLike = toggle("Tweet", "tweetId")
+
+// idempotent alternatives to the toggles, PUT sets the reaction and DELETE clears it
+const putReaction = asyncHandler(async (req, res) => {
+    const { targetType, targetId } = req.params
+    const { type } = req.body
+
+    await findReactableTarget(targetType, targetId, req.user)
+
+    const reaction = await setReaction({ targetType, targetId, user: req.user._id, type })
+    const reactionCounts = await getReactionCounts(targetType, targetId)
+    await notifyReaction({ targetType, targetId, actor: req.user._id, type: reaction })
 
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        { reaction, isLiked: reaction === "like", reactionCounts },
+        `${targetType} reaction set`
+    ))
 })
 
-const toggleTweetLike = asyncHandler(async (req, res) => {
-    const {tweetId} = req.params
-    //TODO: toggle like on tweet
-}
-)
+const deleteReaction = asyncHandler(async (req, res) => {
+    const { targetType, targetId } = req.params
+
+    await removeReaction({ targetType, targetId, user: req.user._id })
+    const reactionCounts = await getReactionCounts(targetType, targetId)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        { reaction: null, isLiked: false, reactionCounts },
+        `${targetType} reaction removed`
+    ))
+})
 
 const getLikedVideos = asyncHandler(async (req, res) => {
-    //TODO: get all liked videos
+    const {page, limit} = req.query
+
+    const likedVideos = Reaction.aggregate([
+        {
+            $match: {
+                user: new mongoose.Types.ObjectId(req.user._id),
+                targetType: "Video",
+                type: "like"
+            }
+        },
+        {
+            $sort: { reactedAt: -1 }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "targetId",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        // liked videos that went private or were unpublished drop out
+                        $match: viewableVideoMatch(req.user)
+                    },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $addFields: {
+                            owner: { $first: "$owner" }
+                        }
+                    },
+                    {
+                        $project: {
+                            "renditions.segments": 0
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $unwind: "$video"
+        },
+        {
+            $project: {
+                _id: 0,
+                video: 1,
+                likedAt: "$reactedAt"
+            }
+        }
+    ])
+
+    const result = await Reaction.aggregatePaginate(likedVideos, { page, limit })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Liked videos fetched successfully"))
 })
 
 export {
     toggleCommentLike,
     toggleTweetLike,
     toggleVideoLike,
+    putReaction,
+    deleteReaction,
     getLikedVideos
-}
\ No newline at end of file
+}
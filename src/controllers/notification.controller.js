@@ -0,0 +1,204 @@
+import mongoose from "mongoose"
+import {Notification} from "../models/notification.model.js"
+import {User} from "../models/user.model.js"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {countUnreadNotifications, subscribeToNotifications} from "../services/notification.service.js"
+
+const SSE_HEARTBEAT_MS = 25 * 1000
+
+const getNotifications = asyncHandler(async (req, res) => {
+    const { page, limit, unread } = req.query
+
+    const notifications = Notification.aggregate([
+        {
+            $match: {
+                recipient: new mongoose.Types.ObjectId(req.user._id),
+                ...(unread !== undefined ? { readAt: unread ? null : { $ne: null } } : {})
+            }
+        },
+        {
+            $sort: { createdAt: -1, _id: -1 }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "actor",
+                foreignField: "_id",
+                as: "actor",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "comments",
+                localField: "targetId",
+                foreignField: "_id",
+                as: "comment",
+                pipeline: [
+                    {
+                        $project: {
+                            content: 1,
+                            isDeleted: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "tweets",
+                localField: "targetId",
+                foreignField: "_id",
+                as: "tweet",
+                pipeline: [
+                    {
+                        $project: {
+                            content: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                actor: { $first: "$actor" },
+                video: { $first: "$video" },
+                comment: { $first: "$comment" },
+                tweet: { $first: "$tweet" },
+                isRead: { $ne: ["$readAt", null] }
+            }
+        },
+        {
+            $project: {
+                dedupeKey: 0
+            }
+        }
+    ])
+
+    const result = await Notification.aggregatePaginate(notifications, { page, limit })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Notifications fetched successfully"))
+})
+
+const getUnreadNotificationCount = asyncHandler(async (req, res) => {
+    const unreadCount = await countUnreadNotifications(req.user._id)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { unreadCount }, "Unread count fetched successfully"))
+})
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params
+
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, recipient: req.user._id },
+        [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+        { new: true }
+    )
+
+    if (!notification) {
+        throw new ApiError(404, "Notification not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, notification, "Notification marked as read"))
+})
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const { modifiedCount } = await Notification.updateMany(
+        { recipient: req.user._id, readAt: null },
+        { $set: { readAt: new Date() } }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { modifiedCount }, "All notifications marked as read"))
+})
+
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+    return res
+    .status(200)
+    .json(new ApiResponse(200, req.user.notificationPreferences, "Notification preferences fetched successfully"))
+})
+
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+    const $set = Object.fromEntries(
+        Object.entries(req.body).map(([type, enabled]) => [`notificationPreferences.${type}`, enabled])
+    )
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set }, { new: true })
+    .select("notificationPreferences")
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, user.notificationPreferences, "Notification preferences updated"))
+})
+
+// Server-Sent Events: the current unread count on connect, then every new
+// notification as it is created. Comment lines keep proxies from closing the
+// connection while nothing happens.
+const streamNotifications = asyncHandler(async (req, res) => {
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no"
+    })
+    res.flushHeaders()
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+
+    const unsubscribe = subscribeToNotifications(req.user._id, (notification) => {
+        send("notification", notification)
+    })
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS)
+
+    req.on("close", () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+    })
+
+    send("unread_count", { unreadCount: await countUnreadNotifications(req.user._id) })
+})
+
+export {
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    streamNotifications
+}
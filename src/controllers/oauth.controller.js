@@ -0,0 +1,158 @@
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { User } from "../models/user.model.js"
+import { listProviders } from "../oauth/index.js"
+import {
+    OAUTH_STATE_TTL_MS,
+    startAuthorization,
+    completeAuthorization,
+    unlinkProvider,
+    getLinkedAccounts
+} from "../services/oauth.service.js"
+import { generateAccessAndRefereshTokens } from "./user.controller.js"
+
+// the state also lives in this cookie, so a callback only completes in the
+// browser that started the sign in
+const STATE_COOKIE = "oauthState"
+
+const stateCookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "lax",
+    path: "/api/v1/oauth"
+}
+
+const getProviders = asyncHandler(async (req, res) => {
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { providers: listProviders() }, "Providers fetched successfully"))
+})
+
+const getAccounts = asyncHandler(async (req, res) => {
+    const accounts = await getLinkedAccounts(req.user._id)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, accounts, "Linked accounts fetched successfully"))
+})
+
+// sends the browser to the provider
+const authorize = asyncHandler(async (req, res) => {
+    const { provider } = req.params
+    const { redirectTo } = req.query
+
+    const { state, authorizationUrl } = await startAuthorization({ providerName: provider, redirectTo })
+
+    return res
+    .cookie(STATE_COOKIE, state, { ...stateCookieOptions, maxAge: OAUTH_STATE_TTL_MS })
+    .redirect(authorizationUrl)
+})
+
+// for logged in users, the frontend opens the returned url
+const linkAccount = asyncHandler(async (req, res) => {
+    const { provider } = req.params
+    const { redirectTo } = req.body
+
+    const { state, authorizationUrl } = await startAuthorization({
+        providerName: provider,
+        user: req.user,
+        redirectTo
+    })
+
+    return res
+    .status(200)
+    .cookie(STATE_COOKIE, state, { ...stateCookieOptions, maxAge: OAUTH_STATE_TTL_MS })
+    .json(new ApiResponse(200, { authorizationUrl }, "Continue at the provider"))
+})
+
+const callback = asyncHandler(async (req, res) => {
+    const { provider } = req.params
+    const { code, state, error } = req.query
+    const expectedState = req.cookies?.[STATE_COOKIE]
+
+    res.clearCookie(STATE_COOKIE, stateCookieOptions)
+
+    if (error) {
+        throw new ApiError(400, error === "access_denied"
+            ? `Sign in with ${provider} was cancelled`
+            : `Sign in with ${provider} failed`)
+    }
+
+    if (!state || !expectedState || state !== expectedState) {
+        throw new ApiError(400, "Sign in request is invalid or has expired")
+    }
+
+    if (!code) {
+        throw new ApiError(400, "Authorization code is missing")
+    }
+
+    const { user, linked, created, redirectTo } = await completeAuthorization({
+        providerName: provider,
+        code,
+        state
+    })
+
+    // linking keeps the current session
+    if (linked) {
+        if (redirectTo) {
+            return res.redirect(redirectTo)
+        }
+        return res
+        .status(200)
+        .json(new ApiResponse(200, await getLinkedAccounts(user._id), `${provider} account linked`))
+    }
+
+    const restriction = user.getAccessRestriction()
+    if (restriction) {
+        throw new ApiError(403, restriction)
+    }
+
+    const { accessToken, refreshToken } = await generateAccessAndRefereshTokens(user._id, req)
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    res
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+
+    if (redirectTo) {
+        return res.redirect(redirectTo)
+    }
+
+    const loggedInUser = await User.findById(user._id).select("-password")
+
+    return res
+    .status(created ? 201 : 200)
+    .json(
+        new ApiResponse(
+            created ? 201 : 200,
+            {
+                user: loggedInUser, accessToken, refreshToken, created
+            },
+            "User logged In Successfully"
+        )
+    )
+})
+
+const unlinkAccount = asyncHandler(async (req, res) => {
+    const { provider } = req.params
+
+    await unlinkProvider(req.user._id, provider)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, await getLinkedAccounts(req.user._id), `${provider} account unlinked`))
+})
+
+export {
+    getProviders,
+    getAccounts,
+    authorize,
+    linkAccount,
+    callback,
+    unlinkAccount
+}
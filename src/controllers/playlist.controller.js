@@ -1,53 +1,354 @@
-import mongoose, {isValidObjectId} from "mongoose"
-import {Playlist} from "../models/playlist.model.js"
+import mongoose from "mongoose"
+import {Playlist, MAX_PLAYLIST_COLLABORATORS} from "../models/playlist.model.js"
+import {Video} from "../models/video.model.js"
+import {User} from "../models/user.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {viewableVideoMatch} from "../services/video.service.js"
+import {
+    addVideo,
+    canEditVideos,
+    canView,
+    findPlaylistFor,
+    getWatchLater,
+    isOwner,
+    moveVideo,
+    reorderVideos
+} from "../services/playlist.service.js"
 
+const userSummary = [
+    {
+        $project: {
+            fullName: 1,
+            username: 1,
+            avatar: 1
+        }
+    }
+]
+
+const assertCustomPlaylist = (playlist) => {
+    if (playlist.kind === "watch_later") {
+        throw new ApiError(400, "The Watch Later playlist can't be changed")
+    }
+}
+
+// the playlist with its videos in playlist order, 404 unless the user can see it
+const loadPlaylist = async (playlistId, user) => {
+    const access = await Playlist.findById(playlistId).select("owner visibility collaborators")
+
+    if (!access || !canView(access, user)) {
+        throw new ApiError(404, "Playlist not found")
+    }
+
+    const [playlist] = await Playlist.aggregate([
+        {
+            $match: {
+                _id: access._id
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "videos",
+                foreignField: "_id",
+                as: "videoDetails",
+                pipeline: [
+                    {
+                        // unlisted videos can be shared through playlists, videos
+                        // that went private or were unpublished are skipped
+                        $match: viewableVideoMatch(user)
+                    },
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            views: 1,
+                            owner: 1,
+                            createdAt: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: userSummary
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "collaborators",
+                foreignField: "_id",
+                as: "collaborators",
+                pipeline: userSummary
+            }
+        },
+        {
+            $addFields: {
+                owner: { $first: "$owner" }
+            }
+        }
+    ])
+
+    // $lookup loses the order of the videos array
+    const { videoDetails, ...details } = playlist
+    const videosById = new Map(videoDetails.map((video) => [video._id.toString(), video]))
+    const videos = details.videos
+        .map((videoId) => videosById.get(videoId.toString()))
+        .filter(Boolean)
+
+    return {
+        ...details,
+        videos,
+        isOwner: isOwner(access, user),
+        canEdit: canEditVideos(access, user)
+    }
+}
 
 const createPlaylist = asyncHandler(async (req, res) => {
-    const {name, description} = req.body
+    const {name, description, visibility} = req.body
 
-    //TODO: create playlist
+    const playlist = await Playlist.create({
+        name,
+        description,
+        visibility,
+        owner: req.user._id
+    })
+
+    return res
+    .status(201)
+    .json(new ApiResponse(201, playlist, "Playlist created successfully"))
 })
 
+// other users only see the public playlists of a channel
 const getUserPlaylists = asyncHandler(async (req, res) => {
     const {userId} = req.params
-    //TODO: get user playlists
+    const isOwnChannel = userId === req.user?._id?.toString()
+
+    const playlists = await Playlist.aggregate([
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(userId),
+                // playlists from before visibility existed have none and are public
+                ...(isOwnChannel ? {} : { visibility: { $nin: ["unlisted", "private"] } })
+            }
+        },
+        {
+            $sort: { updatedAt: -1 }
+        },
+        {
+            $project: {
+                name: 1,
+                description: 1,
+                owner: 1,
+                visibility: 1,
+                kind: 1,
+                totalVideos: { $size: "$videos" },
+                totalCollaborators: { $size: { $ifNull: ["$collaborators", []] } },
+                createdAt: 1,
+                updatedAt: 1
+            }
+        }
+    ])
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "Playlists fetched successfully"))
 })
 
 const getPlaylistById = asyncHandler(async (req, res) => {
     const {playlistId} = req.params
-    //TODO: get playlist by id
+
+    const playlist = await loadPlaylist(playlistId, req.user)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist fetched successfully"))
+})
+
+const getWatchLaterPlaylist = asyncHandler(async (req, res) => {
+    const watchLater = await getWatchLater(req.user._id)
+    const playlist = await loadPlaylist(watchLater._id, req.user)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Watch Later fetched successfully"))
 })
 
 const addVideoToPlaylist = asyncHandler(async (req, res) => {
     const {playlistId, videoId} = req.params
+    const {position} = req.body
+
+    const playlist = await findPlaylistFor(playlistId, req.user, "videos")
+
+    const video = await Video.exists({ _id: videoId, ...viewableVideoMatch(req.user) })
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    const added = await addVideo(playlist, video._id, position)
+
+    if (!added) {
+        throw new ApiError(409, "Video is already in the playlist")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { playlistId: playlist._id, videoId: video._id }, "Video added to playlist"))
 })
 
 const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
     const {playlistId, videoId} = req.params
-    // TODO: remove video from playlist
 
+    const playlist = await findPlaylistFor(playlistId, req.user, "videos")
+
+    const { modifiedCount } = await Playlist.updateOne(
+        { _id: playlist._id },
+        { $pull: { videos: new mongoose.Types.ObjectId(videoId) } }
+    )
+
+    if (!modifiedCount) {
+        throw new ApiError(404, "Video is not in the playlist")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { playlistId: playlist._id, videoId }, "Video removed from playlist"))
+})
+
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+    const {playlistId, videoId} = req.params
+    const {position} = req.body
+
+    const playlist = await findPlaylistFor(playlistId, req.user, "videos")
+    const videos = await moveVideo(playlist._id, videoId, position, req.user)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { videos }, "Video moved"))
+})
+
+const reorderPlaylist = asyncHandler(async (req, res) => {
+    const {playlistId} = req.params
+    const {videoIds} = req.body
+
+    const playlist = await findPlaylistFor(playlistId, req.user, "videos")
+    const videos = await reorderVideos(playlist._id, videoIds, req.user)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { videos }, "Playlist reordered"))
 })
 
 const deletePlaylist = asyncHandler(async (req, res) => {
     const {playlistId} = req.params
-    // TODO: delete playlist
+
+    const playlist = await findPlaylistFor(playlistId, req.user, "owner")
+    assertCustomPlaylist(playlist)
+
+    await playlist.deleteOne()
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"))
 })
 
 const updatePlaylist = asyncHandler(async (req, res) => {
     const {playlistId} = req.params
-    const {name, description} = req.body
-    //TODO: update playlist
+    const {name, description, visibility} = req.body
+
+    const playlist = await findPlaylistFor(playlistId, req.user, "owner")
+    assertCustomPlaylist(playlist)
+
+    if (name !== undefined) playlist.name = name
+    if (description !== undefined) playlist.description = description
+    if (visibility !== undefined) playlist.visibility = visibility
+    await playlist.save()
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist updated successfully"))
+})
+
+const addCollaborator = asyncHandler(async (req, res) => {
+    const {playlistId} = req.params
+    const {userId} = req.body
+
+    const playlist = await findPlaylistFor(playlistId, req.user, "owner")
+    assertCustomPlaylist(playlist)
+
+    if (userId === req.user._id.toString()) {
+        throw new ApiError(400, "You already own this playlist")
+    }
+
+    const user = await User.exists({ _id: userId, status: { $ne: "banned" } })
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    // the filter keeps the list below its limit even with concurrent invites
+    const { matchedCount, modifiedCount } = await Playlist.updateOne(
+        { _id: playlist._id, [`collaborators.${MAX_PLAYLIST_COLLABORATORS - 1}`]: { $exists: false } },
+        { $addToSet: { collaborators: user._id } }
+    )
+
+    if (!matchedCount) {
+        throw new ApiError(409, `A playlist can have at most ${MAX_PLAYLIST_COLLABORATORS} collaborators`)
+    }
+
+    if (!modifiedCount) {
+        throw new ApiError(409, "User already is a collaborator")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { playlistId: playlist._id, userId: user._id }, "Collaborator added"))
+})
+
+// the owner removes collaborators, collaborators can remove themselves
+const removeCollaborator = asyncHandler(async (req, res) => {
+    const {playlistId, userId} = req.params
+
+    const playlist = await findPlaylistFor(playlistId, req.user, "videos")
+
+    if (!isOwner(playlist, req.user) && userId !== req.user._id.toString()) {
+        throw new ApiError(403, "Only the owner can remove other collaborators")
+    }
+
+    const { modifiedCount } = await Playlist.updateOne(
+        { _id: playlist._id },
+        { $pull: { collaborators: new mongoose.Types.ObjectId(userId) } }
+    )
+
+    if (!modifiedCount) {
+        throw new ApiError(404, "User is not a collaborator")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { playlistId: playlist._id, userId }, "Collaborator removed"))
 })
 
 export {
     createPlaylist,
     getUserPlaylists,
     getPlaylistById,
+    getWatchLaterPlaylist,
     addVideoToPlaylist,
     removeVideoFromPlaylist,
+    moveVideoInPlaylist,
+    reorderPlaylist,
     deletePlaylist,
-    updatePlaylist
+    updatePlaylist,
+    addCollaborator,
+    removeCollaborator
 }
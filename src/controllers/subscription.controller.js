@@ -4,11 +4,51 @@ import { Subscription } from "../models/subscription.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {notifySubscription} from "../services/notification.service.js"
+import {recordChannelMetrics} from "../services/analytics.service.js"
 
 
 const toggleSubscription = asyncHandler(async (req, res) => {
     const {channelId} = req.params
-    // TODO: toggle subscription
+
+    if (channelId === req.user._id.toString()) {
+        throw new ApiError(400, "You can't subscribe to your own channel")
+    }
+
+    const channel = await User.exists({ _id: channelId })
+
+    if (!channel) {
+        throw new ApiError(404, "Channel not found")
+    }
+
+    const removed = await Subscription.findOneAndDelete({
+        subscriber: req.user._id,
+        channel: channelId
+    })
+
+    if (removed) {
+        await recordChannelMetrics(channel._id, { unsubscribes: 1 })
+
+        return res
+        .status(200)
+        .json(new ApiResponse(200, { isSubscribed: false }, "Unsubscribed successfully"))
+    }
+
+    // the unique index turns a concurrent double subscribe into a no-op
+    const { upsertedCount } = await Subscription.updateOne(
+        { subscriber: req.user._id, channel: channelId },
+        { $setOnInsert: { subscriber: req.user._id, channel: channelId } },
+        { upsert: true }
+    )
+
+    if (upsertedCount) {
+        await recordChannelMetrics(channel._id, { subscribers: 1 })
+        await notifySubscription({ channel: channel._id, subscriber: req.user._id })
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully"))
 })
 
 // controller to return subscriber list of a channel
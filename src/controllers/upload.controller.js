@@ -0,0 +1,150 @@
+import {isValidObjectId} from "mongoose"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {
+    createUploadSession,
+    getUploadSession,
+    getMaxChunkSize,
+    appendChunk,
+    finalizeUpload,
+    abortUpload
+} from "../services/upload.service.js"
+import {publishVideo} from "../services/video.service.js"
+
+const CHUNK_CONTENT_TYPES = ["application/offset+octet-stream", "application/octet-stream"]
+
+const toUploadStatus = (session) => ({
+    uploadId: session._id,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    offset: session.offset,
+    status: session.status,
+    expiresAt: session.expiresAt,
+    video: session.video
+})
+
+const setOffsetHeaders = (res, session) => {
+    res.set({
+        "Upload-Offset": String(session.offset),
+        "Upload-Length": String(session.fileSize),
+        "Cache-Control": "no-store"
+    })
+}
+
+const checkUploadId = (uploadId) => {
+    if (!isValidObjectId(uploadId)) {
+        throw new ApiError(400, "Invalid uploadId")
+    }
+}
+
+const initUpload = asyncHandler(async (req, res) => {
+    const { fileName, fileSize, mimeType, checksum } = req.body
+
+    const session = await createUploadSession({
+        owner: req.user._id,
+        fileName,
+        fileSize,
+        mimeType,
+        checksum
+    })
+
+    setOffsetHeaders(res, session)
+
+    return res
+    .status(201)
+    .location(`${req.baseUrl}/${session._id}`)
+    .json(new ApiResponse(201, toUploadStatus(session), "Upload started"))
+})
+
+const getUploadStatus = asyncHandler(async (req, res) => {
+    const { uploadId } = req.params
+    checkUploadId(uploadId)
+
+    const session = await getUploadSession(uploadId, req.user._id)
+
+    setOffsetHeaders(res, session)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, toUploadStatus(session), "Upload status fetched successfully"))
+})
+
+const appendUploadChunk = asyncHandler(async (req, res) => {
+    const { uploadId } = req.params
+    checkUploadId(uploadId)
+
+    if (!CHUNK_CONTENT_TYPES.includes(req.get("Content-Type"))) {
+        throw new ApiError(415, `Content-Type must be one of ${CHUNK_CONTENT_TYPES.join(", ")}`)
+    }
+
+    // appendChunk stops at the limit too, this only answers early when the client says so
+    if (Number(req.get("Content-Length")) > getMaxChunkSize()) {
+        throw new ApiError(413, `Chunks can be at most ${getMaxChunkSize()} bytes`)
+    }
+
+    // "sha256 <base64 digest>"
+    const [algorithm, chunkChecksum] = (req.get("Upload-Checksum") || "").split(" ")
+    if (algorithm && algorithm !== "sha256") {
+        throw new ApiError(400, "Only sha256 chunk checksums are supported")
+    }
+
+    const session = await appendChunk({
+        uploadId,
+        owner: req.user._id,
+        offset: req.get("Upload-Offset"),
+        stream: req,
+        chunkChecksum
+    })
+
+    setOffsetHeaders(res, session)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, toUploadStatus(session), "Chunk uploaded"))
+})
+
+const finalizeVideoUpload = asyncHandler(async (req, res) => {
+    const { uploadId } = req.params
+    const { title, description, visibility, publishAt } = req.body
+    checkUploadId(uploadId)
+
+    const thumbnailLocalPath = req.file?.path
+
+    const video = await finalizeUpload({
+        uploadId,
+        owner: req.user._id,
+        onComplete: (videoLocalPath) => publishVideo({
+            owner: req.user._id,
+            title,
+            description,
+            visibility,
+            publishAt,
+            videoLocalPath,
+            thumbnailLocalPath
+        })
+    })
+
+    return res
+    .status(202)
+    .json(new ApiResponse(202, video, "Video queued for processing"))
+})
+
+const cancelUpload = asyncHandler(async (req, res) => {
+    const { uploadId } = req.params
+    checkUploadId(uploadId)
+
+    await abortUpload({ uploadId, owner: req.user._id })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Upload cancelled"))
+})
+
+export {
+    initUpload,
+    getUploadStatus,
+    appendUploadChunk,
+    finalizeVideoUpload,
+    cancelUpload
+}
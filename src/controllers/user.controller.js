@@ -1,20 +1,39 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import {ApiError} from "../utils/ApiError.js"
 import { User} from "../models/user.model.js"
-import {uploadOnCloudinary} from "../utils/cloudinary.js"
+import {uploadImage, releaseImage} from "../services/image.service.js"
 import { ApiResponse } from "../utils/ApiResponse.js";
-import jwt from "jsonwebtoken"
-import mongoose from "mongoose";
-
-
-const generateAccessAndRefereshTokens = async(userId) =>{
+import {
+    createSession,
+    rotateSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+} from "../services/session.service.js"
+import {
+    consumeUserToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+} from "../services/account.service.js"
+import mongoose, {isValidObjectId} from "mongoose";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { viewableVideoMatch } from "../services/video.service.js";
+import { getWatchLater } from "../services/playlist.service.js";
+import {
+    assertLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins
+} from "../services/loginLockout.service.js";
+
+
+// every login starts a new session (device), see services/session.service.js
+const generateAccessAndRefereshTokens = async(userId, req) =>{
     try {
         const user = await User.findById(userId)
-        const accessToken = user.generateAccessToken()
-        const refreshToken = user.generateRefreshToken()
-
-        user.refreshToken = refreshToken
-        await user.save({ validateBeforeSave: false })
+        const {accessToken, refreshToken} = await createSession(user, {
+            userAgent: req.get("User-Agent"),
+            ip: req.ip
+        })
 
         return {accessToken, refreshToken}
 
@@ -29,21 +48,15 @@ const registerUser = asyncHandler( async (req, res) => {
     // validation - not empty
     // check if user already exists: username, email
     // check for images, check for avatar
-    // upload them to cloudinary, avatar
+    // upload them to storage, avatar
     // create user object - create entry in db
     // remove password and refresh token field from response
     // check for user creation
     // return res
 
 
+    // presence and format are checked by registerBody
     const {fullName, email, username, password } = req.body
-    //console.log("email: ", email);
-
-    if (
-        [fullName, email, username, password].some((field) => field?.trim() === "")
-    ) {
-        throw new ApiError(400, "All fields are required")
-    }
 
     const existedUser = await User.findOne({
         $or: [{ username }, { email }]
@@ -67,31 +80,57 @@ const registerUser = asyncHandler( async (req, res) => {
         throw new ApiError(400, "Avatar file is required")
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    // both are normalized into their size variants, see services/image.service.js
+    const avatar = await uploadImage(avatarLocalPath, "avatar")
 
     if (!avatar) {
         throw new ApiError(400, "Avatar file is required")
     }
+
+    let coverImage
+    try {
+        coverImage = await uploadImage(coverImageLocalPath, "coverImage")
+    } catch (error) {
+        await releaseImage(avatar, "orphaned")
+        throw error
+    }
    
 
-    const user = await User.create({
-        fullName,
-        avatar: avatar.url,
-        coverImage: coverImage?.url || "",
-        email, 
-        password,
-        username: username.toLowerCase()
-    })
+    let user
+    try {
+        user = await User.create({
+            fullName,
+            avatar,
+            coverImage: coverImage || undefined,
+            email, 
+            password,
+            username: username.toLowerCase()
+        })
+    } catch (error) {
+        // nothing will ever point to the uploaded files
+        await releaseImage(avatar, "orphaned")
+        await releaseImage(coverImage, "orphaned")
+        throw error
+    }
 
     const createdUser = await User.findById(user._id).select(
-        "-password -refreshToken"
+        "-password"
     )
 
     if (!createdUser) {
         throw new ApiError(500, "Something went wrong while registering the user")
     }
 
+    // created on first use otherwise
+    await getWatchLater(createdUser._id).catch((error) => {
+        console.log("Failed to create Watch Later playlist ", error)
+    })
+
+    // the account works without it, the user can ask for another mail later
+    await sendVerificationEmail(createdUser).catch((error) => {
+        console.log("Failed to send verification email ", error)
+    })
+
     return res.status(201).json(
         new ApiResponse(200, createdUser, "User registered Successfully")
     )
@@ -106,36 +145,39 @@ const loginUser = asyncHandler(async (req, res) =>{
     //access and referesh token
     //send cookie
 
+    // loginBody makes sure username or email is there
     const {email, username, password} = req.body
-    console.log(email);
-
-    if (!username && !email) {
-        throw new ApiError(400, "username or email is required")
-    }
-    
-    // Here is an alternative of above code based on logic discussed in video:
-    // if (!(username || email)) {
-    //     throw new ApiError(400, "username or email is required")
-        
-    // }
 
     const user = await User.findOne({
         $or: [{username}, {email}]
     })
 
+    // failed attempts lock the account for longer and longer, see loginLockout.service.js
+    const account = { user, email, username }
+    await assertLoginAllowed(account)
+
     if (!user) {
+        await recordFailedLogin(account)
         throw new ApiError(404, "User does not exist")
     }
 
    const isPasswordValid = await user.isPasswordCorrect(password)
 
    if (!isPasswordValid) {
+    await recordFailedLogin(account)
     throw new ApiError(401, "Invalid user credentials")
     }
 
-   const {accessToken, refreshToken} = await generateAccessAndRefereshTokens(user._id)
+    await clearFailedLogins(account)
+
+    const restriction = user.getAccessRestriction()
+    if (restriction) {
+        throw new ApiError(403, restriction)
+    }
+
+   const {accessToken, refreshToken} = await generateAccessAndRefereshTokens(user._id, req)
 
-    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
+    const loggedInUser = await User.findById(user._id).select("-password")
 
     const options = {
         httpOnly: true,
@@ -159,17 +201,9 @@ const loginUser = asyncHandler(async (req, res) =>{
 })
 
 const logoutUser = asyncHandler(async(req, res) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $unset: {
-                refreshToken: 1 // this removes the field from document
-            }
-        },
-        {
-            new: true
-        }
-    )
+    if (req.sessionId) {
+        await revokeSession(req.sessionId, req.user._id, "logout")
+    }
 
     const options = {
         httpOnly: true,
@@ -190,45 +224,28 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
         throw new ApiError(401, "unauthorized request")
     }
 
-    try {
-        const decodedToken = jwt.verify(
-            incomingRefreshToken,
-            process.env.REFRESH_TOKEN_SECRET
-        )
-    
-        const user = await User.findById(decodedToken?._id)
-    
-        if (!user) {
-            throw new ApiError(401, "Invalid refresh token")
-        }
-    
-        if (incomingRefreshToken !== user?.refreshToken) {
-            throw new ApiError(401, "Refresh token is expired or used")
-            
-        }
-    
-        const options = {
-            httpOnly: true,
-            secure: true
-        }
-    
-        const {accessToken, newRefreshToken} = await generateAccessAndRefereshTokens(user._id)
-    
-        return res
-        .status(200)
-        .cookie("accessToken", accessToken, options)
-        .cookie("refreshToken", newRefreshToken, options)
-        .json(
-            new ApiResponse(
-                200, 
-                {accessToken, refreshToken: newRefreshToken},
-                "Access token refreshed"
-            )
-        )
-    } catch (error) {
-        throw new ApiError(401, error?.message || "Invalid refresh token")
+    const {accessToken, refreshToken} = await rotateSession(incomingRefreshToken, {
+        userAgent: req.get("User-Agent"),
+        ip: req.ip
+    })
+
+    const options = {
+        httpOnly: true,
+        secure: true
     }
 
+    return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+        new ApiResponse(
+            200, 
+            {accessToken, refreshToken},
+            "Access token refreshed"
+        )
+    )
+
 })
 
 const changeCurrentPassword = asyncHandler(async(req, res) => {
@@ -237,21 +254,102 @@ const changeCurrentPassword = asyncHandler(async(req, res) => {
     
 
     const user = await User.findById(req.user?._id)
-    const isPasswordCorrect = await user.isPasswordCorrect(oldPassword)
 
-    if (!isPasswordCorrect) {
-        throw new ApiError(400, "Invalid old password")
+    // OAuth only accounts set their first password without an old one
+    if (user.password) {
+        const isPasswordCorrect = oldPassword && await user.isPasswordCorrect(oldPassword)
+
+        if (!isPasswordCorrect) {
+            throw new ApiError(400, "Invalid old password")
+        }
     }
 
     user.password = newPassword
     await user.save({validateBeforeSave: false})
 
+    // other devices have to sign in again with the new password
+    await revokeAllSessions(user._id, { except: req.sessionId, reason: "password_changed" })
+
     return res
     .status(200)
     .json(new ApiResponse(200, {}, "Password changed successfully"))
 })
 
 
+const requestEmailVerification = asyncHandler(async(req, res) => {
+    if (req.user.isEmailVerified) {
+        throw new ApiError(400, "Email is already verified")
+    }
+
+    await sendVerificationEmail(req.user)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"))
+})
+
+const verifyEmail = asyncHandler(async(req, res) => {
+    const { token } = req.body
+
+    const userId = await consumeUserToken(token, "email_verification")
+
+    if (!userId) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    await User.findByIdAndUpdate(userId, {
+        $set: {
+            isEmailVerified: true,
+            emailVerifiedAt: new Date()
+        }
+    })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Email verified successfully"))
+})
+
+const forgotPassword = asyncHandler(async(req, res) => {
+    const { email } = req.body
+
+    const user = await User.findOne({ email })
+
+    if (user) {
+        await sendPasswordResetEmail(user)
+    }
+
+    // same answer either way, so this can't be used to find out who has an account
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "If an account with this email exists, a reset link has been sent"))
+})
+
+const resetPassword = asyncHandler(async(req, res) => {
+    const { token, newPassword } = req.body
+
+    const userId = await consumeUserToken(token, "password_reset")
+    const user = userId && await User.findById(userId)
+
+    if (!user) {
+        throw new ApiError(400, "Reset link is invalid or has expired")
+    }
+
+    user.password = newPassword
+    // the reset link reached the inbox, so the address is confirmed as well
+    if (!user.isEmailVerified) {
+        user.isEmailVerified = true
+        user.emailVerifiedAt = new Date()
+    }
+    await user.save({validateBeforeSave: false})
+
+    await revokeAllSessions(user._id, { reason: "password_changed" })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password has been reset, please log in again"))
+})
+
+
 const getCurrentUser = asyncHandler(async(req, res) => {
     return res
     .status(200)
@@ -265,22 +363,29 @@ const getCurrentUser = asyncHandler(async(req, res) => {
 const updateAccountDetails = asyncHandler(async(req, res) => {
     const {fullName, email} = req.body
 
-    if (!fullName || !email) {
-        throw new ApiError(400, "All fields are required")
-    }
+    const emailChanged = email !== req.user?.email
 
     const user = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
                 fullName,
-                email: email
-            }
+                email: email,
+                // a new address has to be verified again
+                ...(emailChanged ? { isEmailVerified: false } : {})
+            },
+            ...(emailChanged ? { $unset: { emailVerifiedAt: 1 } } : {})
         },
         {new: true}
         
     ).select("-password")
 
+    if (emailChanged) {
+        await sendVerificationEmail(user).catch((error) => {
+            console.log("Failed to send verification email ", error)
+        })
+    }
+
     return res
     .status(200)
     .json(new ApiResponse(200, user, "Account details updated successfully"))
@@ -293,11 +398,9 @@ const updateUserAvatar = asyncHandler(async(req, res) => {
         throw new ApiError(400, "Avatar file is missing")
     }
 
-    //TODO: delete old image - assignment
-
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
+    const avatar = await uploadImage(avatarLocalPath, "avatar", { owner: req.user?._id })
 
-    if (!avatar.url) {
+    if (!avatar?.url) {
         throw new ApiError(400, "Error while uploading on avatar")
         
     }
@@ -306,12 +409,15 @@ const updateUserAvatar = asyncHandler(async(req, res) => {
         req.user?._id,
         {
             $set:{
-                avatar: avatar.url
+                avatar
             }
         },
         {new: true}
     ).select("-password")
 
+    // the old image is not referenced anymore
+    await releaseImage(req.user?.avatar, "superseded")
+
     return res
     .status(200)
     .json(
@@ -326,13 +432,10 @@ const updateUserCoverImage = asyncHandler(async(req, res) => {
         throw new ApiError(400, "Cover image file is missing")
     }
 
-    //TODO: delete old image - assignment
-
-
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    const coverImage = await uploadImage(coverImageLocalPath, "coverImage", { owner: req.user?._id })
 
-    if (!coverImage.url) {
-        throw new ApiError(400, "Error while uploading on avatar")
+    if (!coverImage?.url) {
+        throw new ApiError(400, "Error while uploading cover image")
         
     }
 
@@ -340,12 +443,14 @@ const updateUserCoverImage = asyncHandler(async(req, res) => {
         req.user?._id,
         {
             $set:{
-                coverImage: coverImage.url
+                coverImage
             }
         },
         {new: true}
     ).select("-password")
 
+    await releaseImage(req.user?.coverImage, "superseded")
+
     return res
     .status(200)
     .json(
@@ -357,10 +462,6 @@ const updateUserCoverImage = asyncHandler(async(req, res) => {
 const getUserChannelProfile = asyncHandler(async(req, res) => {
     const {username} = req.params
 
-    if (!username?.trim()) {
-        throw new ApiError(400, "username is missing")
-    }
-
     const channel = await User.aggregate([
         {
             $match: {
@@ -391,13 +492,16 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
                 channelsSubscribedToCount: {
                     $size: "$subscribedTo"
                 },
-                isSubscribed: {
-                    $cond: {
-                        if: {$in: [req.user?._id, "$subscribers.subscriber"]},
-                        then: true,
-                        else: false
+                // anonymous visitors get no viewer specific fields
+                ...(req.user ? {
+                    isSubscribed: {
+                        $cond: {
+                            if: {$in: [req.user._id, "$subscribers.subscriber"]},
+                            then: true,
+                            else: false
+                        }
                     }
-                }
+                } : {})
             }
         },
         {
@@ -409,7 +513,14 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
                 isSubscribed: 1,
                 avatar: 1,
                 coverImage: 1,
-                email: 1
+                // the email address is only shown on your own channel
+                email: {
+                    $cond: {
+                        if: {$eq: ["$_id", req.user?._id ?? null]},
+                        then: "$email",
+                        else: "$$REMOVE"
+                    }
+                }
 
             }
         }
@@ -427,19 +538,31 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
 })
 
 const getWatchHistory = asyncHandler(async(req, res) => {
-    const user = await User.aggregate([
+    const { page, limit } = req.query
+    const userId = new mongoose.Types.ObjectId(req.user._id)
+
+    const history = WatchHistory.aggregate([
         {
             $match: {
-                _id: new mongoose.Types.ObjectId(req.user._id)
+                user: userId
+            }
+        },
+        {
+            $sort: {
+                lastWatchedAt: -1
             }
         },
         {
             $lookup: {
                 from: "videos",
-                localField: "watchHistory",
+                localField: "video",
                 foreignField: "_id",
-                as: "watchHistory",
+                as: "video",
                 pipeline: [
+                    {
+                        // videos that got unpublished or private drop out of the history
+                        $match: viewableVideoMatch(req.user)
+                    },
                     {
                         $lookup: {
                             from: "users",
@@ -463,34 +586,151 @@ const getWatchHistory = asyncHandler(async(req, res) => {
                                 $first: "$owner"
                             }
                         }
+                    },
+                    {
+                        $project: {
+                            "renditions.segments": 0
+                        }
                     }
                 ]
             }
+        },
+        {
+            $unwind: "$video"
+        },
+        {
+            $project: {
+                _id: 0,
+                video: 1,
+                lastWatchedAt: 1,
+                watchedSeconds: 1,
+                // finished videos start over from the beginning
+                resumeAt: {
+                    $cond: {
+                        if: { $gte: ["$position", { $subtract: ["$video.duration", 5] }] },
+                        then: 0,
+                        else: "$position"
+                    }
+                }
+            }
         }
     ])
 
+    const watchHistory = await WatchHistory.aggregatePaginate(history, {
+        page,
+        limit
+    })
+
     return res
     .status(200)
     .json(
         new ApiResponse(
             200,
-            user[0].watchHistory,
+            watchHistory,
             "Watch history fetched successfully"
         )
     )
 })
 
+const removeFromWatchHistory = asyncHandler(async(req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const { deletedCount } = await WatchHistory.deleteOne({
+        user: req.user._id,
+        video: videoId
+    })
+
+    if (!deletedCount) {
+        throw new ApiError(404, "Video is not in the watch history")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"))
+})
+
+const clearWatchHistory = asyncHandler(async(req, res) => {
+    await WatchHistory.deleteMany({ user: req.user._id })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Watch history cleared"))
+})
+
+const getActiveSessions = asyncHandler(async(req, res) => {
+    const sessions = await listSessions(req.user._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            sessions.map((session) => ({
+                ...session,
+                isCurrent: session._id.toString() === req.sessionId
+            })),
+            "Sessions fetched successfully"
+        )
+    )
+})
+
+const revokeUserSession = asyncHandler(async(req, res) => {
+    const { sessionId } = req.params
+
+    if (!isValidObjectId(sessionId)) {
+        throw new ApiError(400, "Invalid sessionId")
+    }
+
+    const revoked = await revokeSession(sessionId, req.user._id)
+
+    if (!revoked) {
+        throw new ApiError(404, "Session not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked"))
+})
+
+const revokeAllUserSessions = asyncHandler(async(req, res) => {
+    const revokedCount = await revokeAllSessions(req.user._id)
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(new ApiResponse(200, { revokedCount }, "All sessions revoked"))
+})
 
 export {
+    generateAccessAndRefereshTokens,
     registerUser,
     loginUser,
     logoutUser,
     refreshAccessToken,
     changeCurrentPassword,
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword,
     getCurrentUser,
     updateAccountDetails,
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    getActiveSessions,
+    revokeUserSession,
+    revokeAllUserSessions
 }
\ No newline at end of file
@@ -4,37 +4,586 @@ import {User} from "../models/user.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
-import {uploadOnCloudinary} from "../utils/cloudinary.js"
+import {Comment} from "../models/comment.model.js"
+import {Playlist} from "../models/playlist.model.js"
+import {WatchHistory} from "../models/watchHistory.model.js"
+import {VideoView} from "../models/videoView.model.js"
+import {releaseMedia} from "../services/media.service.js"
+import {uploadImage, releaseImage, imageAssets} from "../services/image.service.js"
+import {publishVideo, viewableVideoMatch, listedVideoMatch} from "../services/video.service.js"
+import {getJob} from "../jobs/queue.js"
+import {recordWatchProgress} from "../services/view.service.js"
+import {deleteVideoStats} from "../services/analytics.service.js"
+import {deleteReactions, viewerReactionStages} from "../services/reaction.service.js"
+import {notifyVideoPublished} from "../services/notification.service.js"
+import {getSignedUrl, getLocalPath} from "../storage/index.js"
+import {buildMasterPlaylist, buildMediaPlaylist} from "../utils/hls.js"
+import {encodeCursor, decodeCursor, cursorMatch} from "../utils/cursor.js"
 
 
+const SORT_FIELDS = {
+    views: "views",
+    createdAt: "createdAt",
+    duration: "duration",
+    relevance: "score"
+}
+
 const getAllVideos = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, query, sortBy, sortType, userId } = req.query
-    //TODO: get all videos based on query, sort, pagination
+    // validated and coerced by getAllVideosQuery
+    const {
+        page,
+        limit,
+        query,
+        sortBy,
+        sortType,
+        userId,
+        minDuration,
+        maxDuration,
+        uploadedAfter,
+        uploadedBefore,
+        isPublished,
+        visibility,
+        cursor,
+        pagination
+    } = req.query
+
+    const searchText = query
+    const pageSize = limit
+
+    // relevance only makes sense when there is something to rank against
+    const sortKey = sortBy || (searchText ? "relevance" : "createdAt")
+    const sortDirection = sortType === "asc" ? 1 : -1
+    const sortField = SORT_FIELDS[sortKey]
+
+    const match = {}
+
+    if (searchText) {
+        // $text has to be part of the first $match stage
+        match.$text = { $search: searchText }
+    }
+
+    if (userId) {
+        match.owner = new mongoose.Types.ObjectId(userId)
+    }
+
+    // owners see all of their videos, including unlisted, private, scheduled
+    // and still processing ones, everybody else only public ones
+    const isOwnListing = userId && req.user?._id?.toString() === userId
+    if (isOwnListing) {
+        if (isPublished !== "all") match.isPublished = isPublished !== "false"
+        if (visibility) match.visibility = visibility
+    } else {
+        if (isPublished === "false" || isPublished === "all" || (visibility && visibility !== "public")) {
+            throw new ApiError(403, "Only public videos can be listed for other channels")
+        }
+        Object.assign(match, listedVideoMatch())
+    }
+
+    if (minDuration !== undefined || maxDuration !== undefined) {
+        match.duration = {}
+        if (minDuration !== undefined) match.duration.$gte = minDuration
+        if (maxDuration !== undefined) match.duration.$lte = maxDuration
+    }
+
+    if (uploadedAfter || uploadedBefore) {
+        match.createdAt = {}
+        if (uploadedAfter) match.createdAt.$gte = uploadedAfter
+        if (uploadedBefore) match.createdAt.$lte = uploadedBefore
+    }
+
+    const pipeline = [{ $match: match }]
+
+    if (searchText) {
+        pipeline.push({ $addFields: { score: { $meta: "textScore" } } })
+    }
+
+    const useCursor = Boolean(cursor) || pagination === "cursor"
+
+    if (cursor) {
+        const position = decodeCursor(cursor)
+        if (position.sortBy !== sortKey || position.sortType !== (sortDirection === 1 ? "asc" : "desc")) {
+            throw new ApiError(400, "Cursor does not match the requested sort")
+        }
+        pipeline.push({ $match: cursorMatch(sortField, sortDirection, position) })
+    }
+
+    pipeline.push(
+        { $sort: { [sortField]: sortDirection, _id: sortDirection } },
+        ...(useCursor ? [{ $limit: pageSize + 1 }] : []),
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: {
+                    $first: "$owner"
+                }
+            }
+        },
+        {
+            $project: {
+                "renditions.segments": 0
+            }
+        }
+    )
+
+    if (!useCursor) {
+        const videos = await Video.aggregatePaginate(Video.aggregate(pipeline), {
+            page,
+            limit: pageSize
+        })
+
+        return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Videos fetched successfully"))
+    }
+
+    const rows = await Video.aggregate(pipeline)
+    const hasNextPage = rows.length > pageSize
+    const videos = hasNextPage ? rows.slice(0, pageSize) : rows
+    const last = videos[videos.length - 1]
+
+    const nextCursor = hasNextPage
+        ? encodeCursor({
+            sortBy: sortKey,
+            sortType: sortDirection === 1 ? "asc" : "desc",
+            value: last[sortField],
+            id: last._id
+        })
+        : null
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            { videos, nextCursor, hasNextPage, limit: pageSize },
+            "Videos fetched successfully"
+        )
+    )
 })
 
 const publishAVideo = asyncHandler(async (req, res) => {
-    const { title, description} = req.body
-    // TODO: get video, upload to cloudinary, create video
+    const { title, description, visibility, publishAt } = req.body
+
+    const videoLocalPath = req.files?.videoFile?.[0]?.path
+    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path
+
+    if (!videoLocalPath) {
+        throw new ApiError(400, "Video file is required")
+    }
+
+    // thumbnail is optional, the processing job extracts one from the video
+
+    const video = await publishVideo({
+        owner: req.user._id,
+        title,
+        description,
+        visibility,
+        publishAt,
+        videoLocalPath,
+        thumbnailLocalPath
+    })
+
+    return res
+    .status(202)
+    .json(new ApiResponse(202, video, "Video queued for processing"))
 })
 
 const getVideoById = asyncHandler(async (req, res) => {
     const { videoId } = req.params
-    //TODO: get video by id
+    const viewerId = req.user?._id
+
+    const video = await Video.aggregate([
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(videoId),
+                ...viewableVideoMatch(req.user)
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $lookup: {
+                            from: "subscriptions",
+                            localField: "_id",
+                            foreignField: "channel",
+                            as: "subscribers"
+                        }
+                    },
+                    {
+                        $addFields: {
+                            subscribersCount: { $size: "$subscribers" },
+                            // viewer specific, only for logged in requests
+                            ...(viewerId ? {
+                                isSubscribed: { $in: [viewerId, "$subscribers.subscriber"] }
+                            } : {})
+                        }
+                    },
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1,
+                            subscribersCount: 1,
+                            isSubscribed: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: { $first: "$owner" }
+            }
+        },
+        {
+            $addFields: {
+                likesCount: { $ifNull: ["$reactionCounts.like", 0] },
+                dislikesCount: { $ifNull: ["$reactionCounts.dislike", 0] }
+            }
+        },
+        ...viewerReactionStages("Video", viewerId),
+        {
+            $project: {
+                "renditions.segments": 0
+            }
+        }
+    ])
+
+    if (!video.length) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video[0], "Video fetched successfully"))
 })
 
+const findOwnedVideo = async (videoId, user) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    if (video.owner?.toString() !== user?._id?.toString()) {
+        throw new ApiError(403, "You are not allowed to modify this video")
+    }
+
+    return video
+}
+
 const updateVideo = asyncHandler(async (req, res) => {
     const { videoId } = req.params
-    //TODO: update video details like title, description, thumbnail
+    const { title, description } = req.body
+    const thumbnailLocalPath = req.file?.path
+
+    const video = await findOwnedVideo(videoId, req.user)
+
+    if (!title && !description && !thumbnailLocalPath) {
+        throw new ApiError(400, "Nothing to update")
+    }
+
+    if (title) video.title = title
+    if (description) video.description = description
 
+    const previousThumbnail = video.thumbnail
+    if (thumbnailLocalPath) {
+        const thumbnail = await uploadImage(thumbnailLocalPath, "thumbnail", { owner: req.user._id })
+
+        if (!thumbnail?.url) {
+            throw new ApiError(400, "Error while uploading thumbnail")
+        }
+        video.thumbnail = thumbnail
+    }
+
+    await video.save()
+
+    if (thumbnailLocalPath) {
+        await releaseImage(previousThumbnail, "superseded")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video updated successfully"))
 })
 
 const deleteVideo = asyncHandler(async (req, res) => {
     const { videoId } = req.params
-    //TODO: delete video
+
+    const video = await findOwnedVideo(videoId, req.user)
+
+    await video.deleteOne()
+
+    const comments = await Comment.find({ video: video._id }).select("_id")
+    await Promise.all([
+        deleteReactions("Video", video._id),
+        deleteReactions("Comment", comments.map((comment) => comment._id)),
+        Comment.deleteMany({ video: video._id }),
+        Playlist.updateMany({ videos: video._id }, { $pull: { videos: video._id } }),
+        WatchHistory.deleteMany({ video: video._id }),
+        VideoView.deleteMany({ video: video._id }),
+        deleteVideoStats(video._id)
+    ])
+
+    await releaseMedia(
+        [
+            video.videoFile,
+            ...imageAssets(video.thumbnail),
+            ...video.renditions.flatMap((rendition) => rendition.segments.map((segment) => segment.asset))
+        ],
+        "deleted"
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"))
+})
+
+// ready videos the viewer is allowed to open, see viewableVideoMatch
+const findPlayableVideo = async (videoId, user) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId)
+    const isOwner = video?.owner?.toString() === user?._id?.toString()
+    const isViewable = video?.isPublished && video.visibility !== "private"
+
+    // private and unreleased videos don't exist as far as other viewers know
+    if (!video || (!isViewable && !isOwner)) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    if (video.processingStatus !== "ready") {
+        throw new ApiError(409, "Video is still being processed")
+    }
+
+    return video
+}
+
+const sendPlaylist = (res, playlist) => res
+    .status(200)
+    .type("application/vnd.apple.mpegurl")
+    .set("Cache-Control", "private, max-age=60")
+    .send(playlist)
+
+const getHlsMasterPlaylist = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await findPlayableVideo(videoId, req.user)
+
+    if (!video.renditions.length) {
+        throw new ApiError(404, "Video has no HLS renditions")
+    }
+
+    return sendPlaylist(res, buildMasterPlaylist(video.renditions))
+})
+
+const getHlsRenditionPlaylist = asyncHandler(async (req, res) => {
+    const { videoId, rendition: renditionName } = req.params
+
+    const video = await findPlayableVideo(videoId, req.user)
+    const rendition = video.renditions.find((item) => item.name === renditionName)
+
+    if (!rendition) {
+        throw new ApiError(404, "Rendition not found")
+    }
+
+    // signed urls outlive the playlist cache so a player never gets an expired segment
+    const expiresIn = Number(process.env.HLS_SEGMENT_URL_TTL) || 6 * 60 * 60
+    const segments = await Promise.all(
+        rendition.segments.map(async (segment) => ({
+            url: await getSignedUrl(segment.asset, { expiresIn }),
+            duration: segment.duration
+        }))
+    )
+
+    return sendPlaylist(res, buildMediaPlaylist(segments))
+})
+
+// Progressive playback of the original file. Local files are sent with
+// Range / ETag / Last-Modified support, other providers get a redirect to a
+// signed url since they handle ranges themselves.
+const streamVideo = asyncHandler(async (req, res, next) => {
+    const { videoId } = req.params
+
+    const video = await findPlayableVideo(videoId, req.user)
+    const localPath = getLocalPath(video.videoFile)
+
+    if (!localPath) {
+        return res.redirect(302, await getSignedUrl(video.videoFile, { expiresIn: 60 * 60 }))
+    }
+
+    res.set("Cache-Control", "private, max-age=3600")
+
+    res.sendFile(
+        localPath,
+        {
+            acceptRanges: true,
+            etag: true,
+            lastModified: true,
+            cacheControl: false
+        },
+        (error) => {
+            // errors after the headers went out are aborted connections, nothing to report
+            if (!error || res.headersSent) return
+
+            if (error.status === 416) {
+                res.set(error.headers) // Content-Range: bytes */<size>
+                return next(new ApiError(416, "Requested range not satisfiable"))
+            }
+
+            next(error.code === "ENOENT"
+                ? new ApiError(404, "Video file not found")
+                : error)
+        }
+    )
+})
+
+// heartbeat from the player, see services/view.service.js
+const recordVideoView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { position, watchedSeconds } = req.body
+
+    const video = await findPlayableVideo(videoId, req.user)
+
+    const { counted } = await recordWatchProgress({
+        video,
+        user: req.user,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+        position,
+        watchedSeconds
+    })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { counted }, "Watch progress recorded"))
+})
+
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await findOwnedVideo(videoId, req.user)
+    const job = await getJob(video.processingJob)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            {
+                videoId: video._id,
+                processingStatus: video.processingStatus,
+                processingError: video.processingError,
+                job: job && {
+                    id: job.id,
+                    status: job.status,
+                    stage: job.stage,
+                    progress: job.progress,
+                    attempts: job.attempts,
+                    maxAttempts: job.maxAttempts,
+                    error: job.error,
+                    updatedAt: job.updatedAt
+                }
+            },
+            "Processing status fetched successfully"
+        )
+    )
 })
 
 const togglePublishStatus = asyncHandler(async (req, res) => {
     const { videoId } = req.params
+
+    const video = await findOwnedVideo(videoId, req.user)
+
+    if (!video.isPublished && video.moderation?.at) {
+        throw new ApiError(403, "This video was unpublished by a moderator and can't be published again")
+    }
+
+    // publishing by hand overrides a pending schedule
+    video.isPublished = !video.isPublished
+    video.publishAt = undefined
+    const goesLive = video.isPublished && video.processingStatus === "ready" && !video.publishedAt
+    if (goesLive) {
+        video.publishedAt = new Date()
+    }
+    await video.save({ validateBeforeSave: false })
+
+    if (goesLive) {
+        await notifyVideoPublished(video)
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        { isPublished: video.isPublished },
+        video.isPublished ? "Video published" : "Video unpublished"
+    ))
+})
+
+// visibility and scheduled release, publishAt null cancels the schedule
+const updateVideoVisibility = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { visibility, publishAt } = req.body
+
+    const video = await findOwnedVideo(videoId, req.user)
+
+    if (visibility) video.visibility = visibility
+
+    if (publishAt) {
+        if (video.moderation?.at) {
+            throw new ApiError(403, "This video was unpublished by a moderator and can't be published again")
+        }
+        // scheduling would take a live video down until publishAt
+        if (video.isPublished || video.publishedAt) {
+            throw new ApiError(409, "Only videos that were never published can be scheduled")
+        }
+        video.isPublished = false
+        video.publishAt = publishAt
+    } else if (publishAt === null) {
+        video.publishAt = undefined
+    }
+
+    await video.save({ validateBeforeSave: false })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        {
+            visibility: video.visibility,
+            isPublished: video.isPublished,
+            publishAt: video.publishAt
+        },
+        "Video visibility updated"
+    ))
 })
 
 export {
@@ -43,5 +592,11 @@ export {
     getVideoById,
     updateVideo,
     deleteVideo,
-    togglePublishStatus
+    togglePublishStatus,
+    updateVideoVisibility,
+    getVideoProcessingStatus,
+    getHlsMasterPlaylist,
+    getHlsRenditionPlaylist,
+    streamVideo,
+    recordVideoView
 }
@@ -2,14 +2,58 @@
 import dotenv from "dotenv"
 import connectDB from "./db/index.js";
 import {app} from './app.js'
+import { startMediaCleanupWorker, migrateLegacyAssetUrls } from "./services/media.service.js";
+import { startUploadSweeper } from "./services/upload.service.js";
+import { startTempSweeper } from "./services/tempFile.service.js";
+import { startPublishScheduler } from "./services/video.service.js";
+import { migrateLegacyLikes } from "./services/reaction.service.js";
+import { backfillDailyStats } from "./services/analytics.service.js";
+import { migrateLegacyWatchHistory } from "./services/view.service.js";
+import { grandfatherEmailVerification } from "./services/account.service.js";
+import { registerJobHandler, startJobWorker } from "./jobs/queue.js";
+import { VIDEO_PROCESSING_JOB, videoProcessingJob } from "./jobs/videoProcessing.job.js";
+import { NOTIFICATION_FANOUT_JOB, notificationFanoutJob } from "./jobs/notificationFanout.job.js";
 dotenv.config({
     path: './.env'
 })
 
 
 
+registerJobHandler(VIDEO_PROCESSING_JOB, videoProcessingJob)
+registerJobHandler(NOTIFICATION_FANOUT_JOB, notificationFanoutJob)
+
 connectDB()
+// documents that still hold plain urls can't be read until they are converted
+.then(() => migrateLegacyAssetUrls().catch((error) => {
+    console.log("Migrating legacy media urls failed ", error)
+}))
 .then(() => {
+    startMediaCleanupWorker()
+    startUploadSweeper()
+    startTempSweeper()
+    startPublishScheduler()
+    startJobWorker()
+
+    grandfatherEmailVerification().catch((error) => {
+        console.log("Backfilling email verification failed ", error)
+    })
+
+    migrateLegacyWatchHistory().catch((error) => {
+        console.log("Migrating watch history failed ", error)
+    })
+
+    // the analytics backfill reads the reactions, so it only runs once the
+    // likes made it there, otherwise it is retried on the next start
+    migrateLegacyLikes()
+    .then(
+        () => backfillDailyStats().catch((error) => {
+            console.log("Backfilling channel analytics failed ", error)
+        }),
+        (error) => {
+            console.log("Migrating likes to reactions failed ", error)
+        }
+    )
+
     app.listen(process.env.PORT || 8000, () => {
         console.log(`⚙️ Server is running at port : ${process.env.PORT}`);
     })
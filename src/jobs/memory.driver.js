@@ -0,0 +1,97 @@
+import crypto from "crypto"
+
+// Jobs kept in the memory of this process. Good for development and single
+// instance setups, everything queued is lost on restart.
+
+const jobs = new Map()
+
+// finished jobs are kept for polling clients, but not forever
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000
+
+const pruneFinished = () => {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+            jobs.delete(id)
+        }
+    }
+}
+
+const snapshot = (job) => job && { ...job }
+
+const update = (jobId, changes) => {
+    const job = jobs.get(jobId)
+    if (job) {
+        Object.assign(job, changes, { updatedAt: new Date() })
+    }
+}
+
+const enqueue = async (type, payload, { maxAttempts = 3, runAt = new Date() } = {}) => {
+    pruneFinished()
+
+    const now = new Date()
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        payload,
+        status: "queued",
+        attempts: 0,
+        maxAttempts,
+        runAt,
+        createdAt: now,
+        updatedAt: now
+    }
+    jobs.set(job.id, job)
+
+    return snapshot(job)
+}
+
+const get = async (jobId) => snapshot(jobs.get(jobId))
+
+const claimNext = async ({ types }) => {
+    const now = Date.now()
+
+    let next
+    for (const job of jobs.values()) {
+        if (job.status !== "queued" || !types.includes(job.type) || job.runAt.getTime() > now) continue
+        if (!next || job.runAt < next.runAt) next = job
+    }
+
+    if (!next) return null
+
+    update(next.id, { status: "running", attempts: next.attempts + 1 })
+    return snapshot(next)
+}
+
+// jobs here die with the process, no lease can run out
+const failExpired = async () => null
+
+const setStage = async (jobId, stage, progress) => update(jobId, { stage, progress })
+
+const markCompleted = async (jobId, result) => update(jobId, {
+    status: "completed",
+    result,
+    progress: 100,
+    error: undefined,
+    finishedAt: new Date()
+})
+
+const markRetry = async (jobId, error, runAt) => update(jobId, { status: "queued", error, runAt })
+
+const markFailed = async (jobId, error) => update(jobId, {
+    status: "failed",
+    error,
+    finishedAt: new Date()
+})
+
+export default {
+    name: "memory",
+    enqueue,
+    get,
+    claimNext,
+    failExpired,
+    setStage,
+    markCompleted,
+    markRetry,
+    markFailed
+}
@@ -0,0 +1,120 @@
+import mongoose from "mongoose"
+import { Job } from "../models/job.model.js"
+
+// Jobs persisted in MongoDB. Survives restarts and lets several app instances
+// share one queue, a job is claimed with a single atomic findOneAndUpdate.
+
+const toJob = (doc) => doc && {
+    id: doc._id.toString(),
+    type: doc.type,
+    payload: doc.payload,
+    status: doc.status,
+    stage: doc.stage,
+    progress: doc.progress,
+    attempts: doc.attempts,
+    maxAttempts: doc.maxAttempts,
+    error: doc.lastError,
+    result: doc.result,
+    runAt: doc.runAt,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    finishedAt: doc.finishedAt
+}
+
+const enqueue = async (type, payload, { maxAttempts = 3, runAt = new Date() } = {}) => {
+    const job = await Job.create({ type, payload, maxAttempts, runAt })
+    return toJob(job)
+}
+
+const get = async (jobId) => {
+    if (!mongoose.isValidObjectId(jobId)) return null
+    return toJob(await Job.findById(jobId).lean())
+}
+
+const claimNext = async ({ types, leaseMs }) => {
+    const now = new Date()
+
+    const job = await Job.findOneAndUpdate(
+        {
+            type: { $in: types },
+            $or: [
+                { status: "queued", runAt: { $lte: now } },
+                // the lease ran out, the worker died on it
+                {
+                    status: "running",
+                    lockedUntil: { $lte: now },
+                    $expr: { $lt: ["$attempts", "$maxAttempts"] }
+                }
+            ]
+        },
+        {
+            $set: { status: "running", lockedUntil: new Date(now.getTime() + leaseMs) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    ).lean()
+
+    return toJob(job)
+}
+
+// Jobs whose lease ran out on their last attempt are never claimed again, one
+// of them is marked failed here so the queue can run its onFailed hook.
+const failExpired = async ({ types, error }) => {
+    const now = new Date()
+
+    const job = await Job.findOneAndUpdate(
+        {
+            type: { $in: types },
+            status: "running",
+            lockedUntil: { $lte: now },
+            $expr: { $gte: ["$attempts", "$maxAttempts"] }
+        },
+        {
+            $set: { status: "failed", lastError: error, finishedAt: now },
+            $unset: { lockedUntil: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    ).lean()
+
+    return toJob(job)
+}
+
+const setStage = async (jobId, stage, progress) => {
+    await Job.updateOne({ _id: jobId }, { $set: { stage, progress } })
+}
+
+const markCompleted = async (jobId, result) => {
+    await Job.updateOne(
+        { _id: jobId },
+        {
+            $set: { status: "completed", result, progress: 100, finishedAt: new Date() },
+            $unset: { lockedUntil: 1, lastError: 1 }
+        }
+    )
+}
+
+const markRetry = async (jobId, error, runAt) => {
+    await Job.updateOne(
+        { _id: jobId },
+        { $set: { status: "queued", lastError: error, runAt }, $unset: { lockedUntil: 1 } }
+    )
+}
+
+const markFailed = async (jobId, error) => {
+    await Job.updateOne(
+        { _id: jobId },
+        { $set: { status: "failed", lastError: error, finishedAt: new Date() }, $unset: { lockedUntil: 1 } }
+    )
+}
+
+export default {
+    name: "mongo",
+    enqueue,
+    get,
+    claimNext,
+    failExpired,
+    setStage,
+    markCompleted,
+    markRetry,
+    markFailed
+}
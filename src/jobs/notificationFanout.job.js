@@ -0,0 +1,10 @@
+import { fanOutNewVideo } from "../services/notification.service.js"
+
+// Tells the subscribers of a channel about a video that just went live,
+// queued by notifyVideoPublished in services/notification.service.js
+
+export { NOTIFICATION_FANOUT_JOB } from "../services/notification.service.js"
+
+export const notificationFanoutJob = {
+    run: (payload) => fanOutNewVideo(payload)
+}
@@ -0,0 +1,145 @@
+import memoryDriver from "./memory.driver.js"
+import mongoDriver from "./mongo.driver.js"
+
+// Background job queue, no external broker needed.
+// JOB_QUEUE_DRIVER picks where jobs are kept: "mongo" (default) or "memory".
+//
+// A handler is registered per job type:
+//   registerJobHandler("video.process", {
+//       run: async (payload, {jobId, attempt, setStage}) => result,
+//       onFailed: async (payload, error) => {}   // after the last attempt failed
+//   })
+// Failed runs are retried with exponential backoff until maxAttempts is reached.
+// A job whose worker died (its lease ran out) counts as a failed attempt.
+
+const drivers = {
+    [memoryDriver.name]: memoryDriver,
+    [mongoDriver.name]: mongoDriver
+}
+
+const handlers = new Map()
+const RETRY_BASE_DELAY_MS = 30 * 1000
+
+let wakeWorker = () => {}
+
+const getDriver = () => {
+    const driver = drivers[process.env.JOB_QUEUE_DRIVER || "mongo"]
+    if (!driver) {
+        throw new Error(`Unknown job queue driver: ${process.env.JOB_QUEUE_DRIVER}`)
+    }
+    return driver
+}
+
+const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler)
+}
+
+const enqueueJob = async (type, payload, options = {}) => {
+    const job = await getDriver().enqueue(type, payload, options)
+    wakeWorker()
+    return job
+}
+
+const getJob = async (jobId) => {
+    if (!jobId) return null
+    return getDriver().get(jobId)
+}
+
+const processJob = async (driver, job) => {
+    const handler = handlers.get(job.type)
+
+    try {
+        const result = await handler.run(job.payload, {
+            jobId: job.id,
+            attempt: job.attempts,
+            setStage: (stage, progress) => driver.setStage(job.id, stage, progress)
+        })
+        await driver.markCompleted(job.id, result)
+    } catch (error) {
+        const message = error?.message || String(error)
+
+        if (job.attempts < job.maxAttempts) {
+            const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1)
+            await driver.markRetry(job.id, message, new Date(Date.now() + delay))
+            return
+        }
+
+        await driver.markFailed(job.id, message)
+        await runFailedHook(job, error)
+    }
+}
+
+const runFailedHook = async (job, error) => {
+    try {
+        await handlers.get(job.type)?.onFailed?.(job.payload, error)
+    } catch (hookError) {
+        console.log(`onFailed hook of job ${job.type} failed `, hookError)
+    }
+}
+
+const LEASE_EXPIRED_ERROR = "The worker stopped before the job finished"
+
+// jobs that died on their last attempt
+const failExpiredJobs = async (driver, types) => {
+    for (;;) {
+        const job = await driver.failExpired({ types, error: LEASE_EXPIRED_ERROR })
+        if (!job) return
+        await runFailedHook(job, new Error(LEASE_EXPIRED_ERROR))
+    }
+}
+
+const startJobWorker = ({
+    concurrency = Number(process.env.JOB_CONCURRENCY) || 1,
+    pollIntervalMs = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+    leaseMs = Number(process.env.JOB_LEASE_MS) || 30 * 60 * 1000
+} = {}) => {
+    const driver = getDriver()
+    let running = 0
+    let claiming = false
+    let stopped = false
+
+    const tick = async () => {
+        if (claiming || stopped) return
+        claiming = true
+
+        try {
+            await failExpiredJobs(driver, [...handlers.keys()])
+
+            while (!stopped && running < concurrency) {
+                const job = await driver.claimNext({ types: [...handlers.keys()], leaseMs })
+                if (!job) break
+
+                running++
+                processJob(driver, job)
+                .catch((error) => console.log(`Job ${job.id} could not be finished `, error))
+                .finally(() => {
+                    running--
+                    setImmediate(tick)
+                })
+            }
+        } catch (error) {
+            console.log("Job worker failed to claim a job ", error)
+        } finally {
+            claiming = false
+        }
+    }
+
+    const timer = setInterval(tick, pollIntervalMs)
+    timer.unref()
+
+    wakeWorker = () => setImmediate(tick)
+    wakeWorker()
+
+    return () => {
+        stopped = true
+        clearInterval(timer)
+        wakeWorker = () => {}
+    }
+}
+
+export {
+    registerJobHandler,
+    enqueueJob,
+    getJob,
+    startJobWorker
+}
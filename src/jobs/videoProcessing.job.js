@@ -0,0 +1,191 @@
+import fs from "fs"
+import path from "path"
+import { Video } from "../models/video.model.js"
+import { uploadMedia, releaseMedia } from "../services/media.service.js"
+import { uploadImage, imageAssets } from "../services/image.service.js"
+import { notifyVideoPublished } from "../services/notification.service.js"
+import { probeVideo, extractThumbnail, transcodeHlsRendition } from "../utils/ffmpeg.js"
+import { selectRenditions, scaledWidth, parseMediaPlaylist, SEGMENT_SECONDS } from "../utils/hls.js"
+
+// Takes a freshly uploaded video from "queued" to "ready":
+// probe -> thumbnail (when none was supplied) -> HLS renditions -> upload to storage
+
+export const VIDEO_PROCESSING_JOB = "video.process"
+
+// source files wait here until the job picked them up
+export const VIDEO_STAGING_DIR = path.resolve("public/temp/processing")
+
+const removeFiles = (files) => Promise.all(
+    files.filter(Boolean).map((file) => fs.promises.rm(file, { force: true }))
+)
+
+// Storage adapters consume the file they upload, even when the upload fails.
+// Uploading a hard link keeps the staged file around for a retry.
+const uploadCopy = async (filePath, options) => {
+    const { dir, name, ext } = path.parse(filePath)
+    const linkPath = path.join(dir, `${name}-${Date.now()}${ext}`)
+
+    await fs.promises.link(filePath, linkPath)
+    return uploadMedia(linkPath, options)
+}
+
+// transcodes and uploads every rendition, segments are uploaded as they are
+// listed in the playlist ffmpeg wrote and collected in uploaded
+const buildRenditions = async ({ videoId, videoPath, probe, owner, setStage, uploaded }) => {
+    const workDir = path.join(VIDEO_STAGING_DIR, `${videoId}-hls`)
+    const profiles = selectRenditions(probe.height)
+    const renditions = []
+
+    try {
+        for (const [index, profile] of profiles.entries()) {
+            await setStage(`transcode:${profile.name}`, 30 + Math.round((index / profiles.length) * 40))
+
+            const outputDir = path.join(workDir, profile.name)
+            await fs.promises.mkdir(outputDir, { recursive: true })
+
+            await transcodeHlsRendition(videoPath, outputDir, {
+                ...profile,
+                hasAudio: Boolean(probe.audioCodec),
+                segmentSeconds: SEGMENT_SECONDS
+            })
+
+            const playlist = await fs.promises.readFile(path.join(outputDir, "index.m3u8"), "utf8")
+            const segments = []
+
+            for (const segment of parseMediaPlaylist(playlist)) {
+                const asset = await uploadMedia(path.join(outputDir, segment.uri), {
+                    folder: `hls/${videoId}/${profile.name}`,
+                    resourceType: "video",
+                    owner
+                })
+                if (!asset) {
+                    throw new Error(`Error while uploading ${profile.name} segment ${segment.uri}`)
+                }
+                uploaded.push(asset)
+                segments.push({ asset, duration: segment.duration })
+            }
+
+            renditions.push({
+                name: profile.name,
+                width: scaledWidth(probe, profile.height),
+                height: profile.height,
+                bandwidth: profile.videoBitrate + (probe.audioCodec ? profile.audioBitrate : 0),
+                segments
+            })
+        }
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true })
+    }
+
+    return renditions
+}
+
+const run = async ({ videoId, videoPath, thumbnailPath }, { setStage }) => {
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        // deleted while it was waiting, nothing left to do
+        await removeFiles([videoPath, thumbnailPath])
+        return { skipped: true }
+    }
+
+    video.processingStatus = "processing"
+    video.processingError = undefined
+    await video.save()
+
+    await setStage("probe", 10)
+    const probe = await probeVideo(videoPath)
+
+    let thumbnailSource = thumbnailPath
+    if (!thumbnailSource) {
+        await setStage("thumbnail", 20)
+        thumbnailSource = path.join(VIDEO_STAGING_DIR, `${videoId}-thumbnail.jpg`)
+        await extractThumbnail(videoPath, thumbnailSource, Math.min(1, probe.duration / 2))
+    }
+
+    // everything this attempt uploaded, nothing points to it when the attempt fails
+    const uploaded = []
+    let goesLive
+    try {
+        const renditions = await buildRenditions({
+            videoId,
+            videoPath,
+            probe,
+            owner: video.owner,
+            setStage,
+            uploaded
+        })
+
+        await setStage("upload", 75)
+        const videoFile = await uploadCopy(videoPath, {
+            folder: "videos",
+            resourceType: "video",
+            owner: video.owner
+        })
+        if (!videoFile) {
+            throw new Error("Error while uploading video file")
+        }
+        uploaded.push(videoFile)
+
+        // uploadImage only reads the source, it stays around for a retry
+        const thumbnail = await uploadImage(thumbnailSource, "thumbnail", { owner: video.owner })
+        if (!thumbnail) {
+            throw new Error("Error while uploading thumbnail")
+        }
+        uploaded.push(...imageAssets(thumbnail))
+
+        video.set({
+            videoFile,
+            thumbnail,
+            renditions,
+            duration: probe.duration,
+            resolution: { width: probe.width, height: probe.height },
+            codec: { video: probe.videoCodec, audio: probe.audioCodec },
+            processingStatus: "ready"
+        })
+        // live videos show up in feeds from the moment they can be watched
+        goesLive = video.isPublished && !video.publishedAt
+        if (goesLive) {
+            video.publishedAt = new Date()
+        }
+        await video.save()
+    } catch (error) {
+        await releaseMedia(uploaded, "orphaned")
+        throw error
+    }
+
+    if (goesLive) {
+        await notifyVideoPublished(video)
+    }
+
+    await removeFiles([videoPath, thumbnailSource])
+
+    return { videoId }
+}
+
+const onFailed = async ({ videoId, videoPath, thumbnailPath }, error) => {
+    await Video.updateOne(
+        { _id: videoId },
+        {
+            $set: {
+                processingStatus: "failed",
+                processingError: {
+                    message: error?.message || "Video processing failed",
+                    failedAt: new Date()
+                }
+            }
+        }
+    )
+
+    await removeFiles([
+        videoPath,
+        thumbnailPath,
+        path.join(VIDEO_STAGING_DIR, `${videoId}-thumbnail.jpg`)
+    ])
+    await fs.promises.rm(path.join(VIDEO_STAGING_DIR, `${videoId}-hls`), { recursive: true, force: true })
+}
+
+export const videoProcessingJob = {
+    run,
+    onFailed
+}
@@ -0,0 +1,28 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+
+// For local development and tests: every mail is written as json to
+// MAIL_OUTPUT_DIR and logged, so links in it can be opened by hand.
+
+const getOutputDir = () => path.resolve(process.env.MAIL_OUTPUT_DIR || "tmp/mail")
+
+const send = async ({ from, to, subject, text, html }) => {
+    const messageId = `${Date.now()}-${crypto.randomUUID()}`
+    const outputDir = getOutputDir()
+
+    await fs.promises.mkdir(outputDir, { recursive: true })
+    await fs.promises.writeFile(
+        path.join(outputDir, `${messageId}.json`),
+        JSON.stringify({ messageId, from, to, subject, text, html, sentAt: new Date() }, null, 2)
+    )
+
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`)
+
+    return { messageId }
+}
+
+export default {
+    name: "file",
+    send
+}
@@ -0,0 +1,32 @@
+import smtpMailer from "./smtp.mailer.js"
+import fileMailer from "./file.mailer.js"
+
+// Every mailer implements send({from, to, subject, text, html}) -> {messageId}
+// MAIL_TRANSPORT picks one: "smtp" or "file" (default, for development and tests)
+
+const mailers = {
+    [smtpMailer.name]: smtpMailer,
+    [fileMailer.name]: fileMailer
+}
+
+const getMailer = () => {
+    const mailer = mailers[process.env.MAIL_TRANSPORT || "file"]
+    if (!mailer) {
+        throw new Error(`Unknown mail transport: ${process.env.MAIL_TRANSPORT}`)
+    }
+    return mailer
+}
+
+const sendMail = async ({ to, subject, text, html }) => {
+    return getMailer().send({
+        from: process.env.MAIL_FROM || "VideoTube <no-reply@videotube.local>",
+        to,
+        subject,
+        text,
+        html
+    })
+}
+
+export {
+    sendMail
+}
@@ -0,0 +1,27 @@
+import nodemailer from "nodemailer"
+
+let transporter
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        })
+    }
+    return transporter
+}
+
+const send = async ({ from, to, subject, text, html }) => {
+    const info = await getTransporter().sendMail({ from, to, subject, text, html })
+    return { messageId: info.messageId }
+}
+
+export default {
+    name: "smtp",
+    send
+}
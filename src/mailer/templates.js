@@ -0,0 +1,24 @@
+// plain text + html bodies of the mails we send
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+const verificationEmail = ({ fullName, link }) => ({
+    subject: "Verify your email address",
+    text: `Hi ${fullName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(fullName)},</p><p>Please confirm your email address by opening <a href="${escapeHtml(link)}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+})
+
+const passwordResetEmail = ({ fullName, link }) => ({
+    subject: "Reset your password",
+    text: `Hi ${fullName},\n\nSomebody asked to reset the password of your account. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If it wasn't you, you can ignore this mail.`,
+    html: `<p>Hi ${escapeHtml(fullName)},</p><p>Somebody asked to reset the password of your account. If it was you, open <a href="${escapeHtml(link)}">this link</a>.</p><p>The link expires in 1 hour. If it wasn't you, you can ignore this mail.</p>`
+})
+
+export {
+    verificationEmail,
+    passwordResetEmail
+}
@@ -2,29 +2,88 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken"
 import { User } from "../models/user.model.js";
+import { isSessionActive } from "../services/session.service.js";
+import { hasPermission } from "../utils/permissions.js";
 
-export const verifyJWT = asyncHandler(async(req, _, next) => {
+const getAccessToken = (req) => req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
+
+// resolves the access token to the user behind it, throws ApiError when it can't
+const authenticate = async (token) => {
     try {
-        const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
-        
-        // console.log(token);
-        if (!token) {
-            throw new ApiError(401, "Unauthorized request")
-        }
-    
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
     
-        const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
+        const user = await User.findById(decodedToken?._id).select("-password")
     
         if (!user) {
             
             throw new ApiError(401, "Invalid Access Token")
         }
+
+        // access tokens die with the session they were issued for
+        if (decodedToken.sid && !(await isSessionActive(decodedToken.sid, user._id))) {
+            throw new ApiError(401, "Session has been revoked")
+        }
     
-        req.user = user;
-        next()
+        const restriction = user.getAccessRestriction()
+        if (restriction) {
+            throw new ApiError(403, restriction)
+        }
+    
+        return { user, sessionId: decodedToken.sid }
     } catch (error) {
+        if (error instanceof ApiError) {
+            throw error
+        }
         throw new ApiError(401, error?.message || "Invalid access token")
     }
-    
-})
\ No newline at end of file
+}
+
+export const verifyJWT = asyncHandler(async(req, _, next) => {
+    const token = getAccessToken(req)
+        
+    if (!token) {
+        throw new ApiError(401, "Unauthorized request")
+    }
+
+    const { user, sessionId } = await authenticate(token)
+
+    req.user = user;
+    req.sessionId = sessionId
+    next()
+})
+
+// for routes anyone can read: sets req.user when the token is valid and carries
+// on anonymously otherwise, so handlers have to treat req.user as optional
+export const optionalAuth = asyncHandler(async(req, _, next) => {
+    const token = getAccessToken(req)
+
+    if (token) {
+        try {
+            const { user, sessionId } = await authenticate(token)
+            req.user = user
+            req.sessionId = sessionId
+        } catch (error) {
+            // expired, revoked or restricted, the request is served as anonymous
+        }
+    }
+    next()
+})
+
+// use after verifyJWT on routes unverified accounts can't use
+export const requireVerifiedEmail = (req, _, next) => {
+    if (!req.user?.isEmailVerified) {
+        return next(new ApiError(403, "Please verify your email address first"))
+    }
+    next()
+}
+
+// use after verifyJWT, e.g. requirePermission("users:ban"), see utils/permissions.js
+export const requirePermission = (...permissions) => (req, _, next) => {
+    if (!req.user) {
+        return next(new ApiError(401, "Unauthorized request"))
+    }
+    if (!permissions.every((permission) => hasPermission(req.user, permission))) {
+        return next(new ApiError(403, "You do not have permission to perform this action"))
+    }
+    next()
+}
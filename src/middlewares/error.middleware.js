@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken"
+import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+
+const MULTER_STATUS = {
+    LIMIT_FILE_SIZE: 413,
+    LIMIT_FIELD_VALUE: 413,
+    LIMIT_PART_COUNT: 413
+}
+
+// turns whatever was thrown into an ApiError
+const normalizeError = (error) => {
+    if (error instanceof ApiError) {
+        return error
+    }
+
+    if (error instanceof mongoose.Error.ValidationError) {
+        return new ApiError(
+            400,
+            "Validation failed",
+            Object.values(error.errors).map((item) => ({
+                field: item.path,
+                message: item.message
+            })),
+            error.stack
+        )
+    }
+
+    if (error instanceof mongoose.Error.CastError) {
+        return new ApiError(
+            400,
+            `Invalid ${error.path}: ${JSON.stringify(error.value)}`,
+            [{ field: error.path, message: `Expected ${error.kind}` }],
+            error.stack
+        )
+    }
+
+    // duplicate key from a unique index
+    if (error?.code === 11000) {
+        const fields = Object.keys(error.keyValue || error.keyPattern || {})
+        return new ApiError(
+            409,
+            fields.length ? `${fields.join(", ")} already exists` : "Duplicate value",
+            fields.map((field) => ({ field, message: "already exists" })),
+            error.stack
+        )
+    }
+
+    // TokenExpiredError and NotBeforeError extend JsonWebTokenError
+    if (error instanceof jwt.JsonWebTokenError) {
+        const message = error instanceof jwt.TokenExpiredError ? "Token has expired" : "Invalid token"
+        return new ApiError(401, message, [], error.stack)
+    }
+
+    if (error instanceof multer.MulterError) {
+        return new ApiError(
+            MULTER_STATUS[error.code] || 400,
+            error.message,
+            error.field ? [{ field: error.field, message: error.message }] : [],
+            error.stack
+        )
+    }
+
+    // errors from express / body-parser / send carry their own client status
+    const status = error?.status || error?.statusCode
+    if (Number.isInteger(status) && status >= 400 && status < 500) {
+        return new ApiError(status, error.message, [], error.stack)
+    }
+
+    return new ApiError(500, "Internal server error", [], error?.stack)
+}
+
+// requests that matched no route
+const notFoundHandler = (req, _, next) => {
+    next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`))
+}
+
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err)
+    }
+
+    const error = normalizeError(err)
+
+    if (error.statusCode >= 500) {
+        console.log(`ERROR ${req.method} ${req.originalUrl} `, err)
+    }
+
+    // e.g. Content-Range on a 416 from res.sendFile
+    if (err?.headers && typeof err.headers === "object") {
+        res.set(err.headers)
+    }
+
+    const isProduction = process.env.NODE_ENV === "production"
+
+    return res
+    .status(error.statusCode)
+    .json({
+        statusCode: error.statusCode,
+        data: null,
+        message: error.message,
+        success: false,
+        errors: error.errors,
+        ...(isProduction ? {} : { stack: error.stack })
+    })
+}
+
+export {
+    notFoundHandler,
+    errorHandler
+}
@@ -0,0 +1,39 @@
+import localStorage from "../storage/local.storage.js"
+import { ApiError } from "../utils/ApiError.js"
+
+// Serves the files of the local storage adapter. Images (avatars, covers and
+// thumbnails) are shown everywhere through their plain url, anything else
+// (video files, HLS segments) needs a url from getSignedUrl, which the video
+// routes only hand out to viewers that may watch the video.
+
+const PUBLIC_FOLDERS = ["avatars", "cover-images", "thumbnails"]
+
+export const serveLocalStorage = (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+        return next()
+    }
+
+    let key
+    try {
+        key = decodeURIComponent(req.path).replace(/^\/+/, "")
+    } catch (error) {
+        return next(new ApiError(400, "Invalid file path"))
+    }
+
+    const isPublic = PUBLIC_FOLDERS.includes(key.split("/")[0])
+    if (!isPublic && !localStorage.verifySignature(key, req.query.expires, req.query.signature)) {
+        return next(new ApiError(403, "This link is invalid or has expired"))
+    }
+
+    let filePath
+    try {
+        filePath = localStorage.resolvePath(key)
+    } catch (error) {
+        return next(new ApiError(404, "File not found"))
+    }
+
+    res.sendFile(filePath, { dotfiles: "deny" }, (error) => {
+        if (!error || res.headersSent) return
+        next(error.statusCode === 404 || error.status === 404 ? new ApiError(404, "File not found") : error)
+    })
+}
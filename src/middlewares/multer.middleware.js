@@ -1,15 +1,128 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
 import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+import { detectFileType } from "../utils/fileType.js";
+import { TEMP_DIR, removeTempFiles } from "../services/tempFile.service.js";
 
+const MB = 1024 * 1024
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"]
+const VIDEO_TYPES = [
+    "video/mp4",
+    "video/quicktime",
+    "video/webm",
+    "video/x-matroska",
+    "video/x-msvideo",
+    "video/mpeg",
+    "video/ogg",
+    "video/3gpp",
+    "video/mp2t"
+]
+
+const getMaxVideoSize = () => Number(process.env.UPLOAD_MAX_FILE_SIZE) || 2 * 1024 * MB
+
+// what every file field accepts, the type is checked on the content of the file
+export const UPLOAD_POLICIES = {
+    avatar: { maxSize: () => 5 * MB, types: IMAGE_TYPES, label: "an image" },
+    coverImage: { maxSize: () => 10 * MB, types: IMAGE_TYPES, label: "an image" },
+    thumbnail: { maxSize: () => 5 * MB, types: IMAGE_TYPES, label: "an image" },
+    videoFile: { maxSize: getMaxVideoSize, types: VIDEO_TYPES, label: "a video" }
+}
+
+// random names, nothing the client sends ends up in a path
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
-      cb(null, "./public/temp")
+      fs.promises.mkdir(TEMP_DIR, { recursive: true })
+      .then(() => cb(null, TEMP_DIR), cb)
     },
     filename: function (req, file, cb) {
-      
-      cb(null, file.originalname)
+      cb(null, crypto.randomUUID())
     }
   })
-  
-export const upload = multer({ 
-    storage, 
-})
\ No newline at end of file
+
+const formatSize = (bytes) => `${Math.round(bytes / MB)}MB`
+
+const uploadedFiles = (req) => [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean)
+
+// Checks size and content of every received file against the policy of its field
+// and gives it the extension of the detected type, which the storage keeps.
+const verifyFile = async (file) => {
+    const policy = UPLOAD_POLICIES[file.fieldname]
+
+    if (file.size > policy.maxSize()) {
+        throw new ApiError(413, `${file.fieldname} must be at most ${formatSize(policy.maxSize())}`, [
+            { field: file.fieldname, message: "file is too large" }
+        ])
+    }
+
+    const type = await detectFileType(file.path)
+
+    if (!type || !policy.types.includes(type.mime)) {
+        throw new ApiError(415, `${file.fieldname} must be ${policy.label}`, [
+            { field: file.fieldname, message: `unsupported file type${type ? ` ${type.mime}` : ""}` }
+        ])
+    }
+
+    const typedPath = `${file.path}.${type.ext}`
+    await fs.promises.rename(file.path, typedPath)
+
+    file.path = typedPath
+    file.filename = path.basename(typedPath)
+    file.mimetype = type.mime
+}
+
+// fields is what multer's .fields() takes, every field needs an UPLOAD_POLICIES entry
+const uploadFields = (fields, select = (handler) => handler.fields(fields)) => {
+    const policies = fields.map(({ name }) => {
+        if (!UPLOAD_POLICIES[name]) {
+            throw new Error(`No upload policy for field ${name}`)
+        }
+        return UPLOAD_POLICIES[name]
+    })
+
+    const handler = select(multer({
+        storage,
+        limits: {
+            // the largest field, each field's own limit is checked afterwards
+            fileSize: Math.max(...policies.map((policy) => policy.maxSize())),
+            files: fields.reduce((total, { maxCount = 1 }) => total + maxCount, 0)
+        },
+        // the declared type is only a hint, a clearly wrong one saves receiving the file
+        fileFilter: function (req, file, cb) {
+            const policy = UPLOAD_POLICIES[file.fieldname]
+
+            if (policy && file.mimetype !== "application/octet-stream" && !policy.types.includes(file.mimetype)) {
+                return cb(new ApiError(415, `${file.fieldname} must be ${policy.label}`, [
+                    { field: file.fieldname, message: `unsupported file type ${file.mimetype}` }
+                ]))
+            }
+            cb(null, true)
+        }
+    }))
+
+    return (req, res, next) => {
+        // whatever the request didn't move away is gone once the response is done
+        res.on("close", () => {
+            removeTempFiles(uploadedFiles(req).map((file) => file.path))
+        })
+
+        handler(req, res, async (error) => {
+            if (error) return next(error)
+
+            try {
+                await Promise.all(uploadedFiles(req).map(verifyFile))
+                next()
+            } catch (error) {
+                next(error)
+            }
+        })
+    }
+}
+
+// same call style as a multer instance: upload.single("avatar"), upload.fields([...])
+export const upload = {
+    single: (name) => uploadFields([{ name, maxCount: 1 }], (handler) => handler.single(name)),
+    fields: (fields) => uploadFields(fields)
+}
@@ -0,0 +1,51 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { RATE_LIMIT_POLICIES } from "../rateLimit/policies.js";
+import { incrementCounter, secondsUntil, tooManyRequests } from "../rateLimit/index.js";
+
+const policyKey = ({ name, by }, req) => by === "user" && req.user
+    ? `${name}:user:${req.user._id}`
+    : `${name}:ip:${req.ip}`
+
+// Counts the request against every named policy, e.g. rateLimit("login").
+// The RateLimit-* headers describe the policy closest to its limit, a request
+// over any limit is answered with 429 and Retry-After.
+export const rateLimit = (...names) => {
+    const policies = names.map((name) => {
+        if (!RATE_LIMIT_POLICIES[name]) {
+            throw new Error(`Unknown rate limit policy: ${name}`)
+        }
+        return { name, ...RATE_LIMIT_POLICIES[name] }
+    })
+
+    return asyncHandler(async (req, res, next) => {
+        let counters
+        try {
+            counters = await Promise.all(policies.map(async (policy) => ({
+                policy,
+                ...(await incrementCounter(policyKey(policy, req), policy.windowMs))
+            })))
+        } catch (error) {
+            // a broken store must not take the whole API down with it
+            console.log("Rate limit store failed ", error)
+            return next()
+        }
+
+        const closest = counters.reduce((closest, counter) =>
+            counter.policy.max - counter.count < closest.policy.max - closest.count ? counter : closest
+        )
+
+        const headers = {
+            "RateLimit-Limit": String(closest.policy.max),
+            "RateLimit-Remaining": String(Math.max(closest.policy.max - closest.count, 0)),
+            "RateLimit-Reset": String(secondsUntil(closest.resetAt)),
+            "RateLimit-Policy": policies.map(({ max, windowMs }) => `${max};w=${windowMs / 1000}`).join(", ")
+        }
+        res.set(headers)
+
+        if (closest.count > closest.policy.max) {
+            throw tooManyRequests("Too many requests, please try again later", closest.resetAt, headers)
+        }
+
+        next()
+    })
+}
@@ -0,0 +1,32 @@
+import { ApiError } from "../utils/ApiError.js";
+
+// Validates and coerces req.body, req.params and req.query against zod schemas,
+// e.g. validate({ params: videoIdParams, body: updateVideoBody }).
+// The parsed values replace the originals, so controllers get clean, typed input.
+export const validate = (schemas) => (req, _, next) => {
+    const errors = []
+
+    for (const location of ["params", "query", "body"]) {
+        const schema = schemas[location]
+        if (!schema) continue
+
+        const result = schema.safeParse(req[location] ?? {})
+
+        if (result.success) {
+            req[location] = result.data
+        } else {
+            errors.push(
+                ...result.error.issues.map((issue) => ({
+                    location,
+                    field: issue.path.join("."),
+                    message: issue.message
+                }))
+            )
+        }
+    }
+
+    if (errors.length) {
+        return next(new ApiError(400, "Validation failed", errors))
+    }
+    next()
+}
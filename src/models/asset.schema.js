@@ -0,0 +1,41 @@
+import {Schema} from "mongoose";
+
+// provider neutral reference to a stored file, produced by storage/index.js
+export const assetSchema = new Schema(
+    {
+        provider: {
+            type: String,
+            enum: ["cloudinary", "local"],
+            required: true
+        },
+        key: {
+            type: String, // cloudinary public id or path inside the local storage dir
+            required: true
+        },
+        url: {
+            type: String,
+            required: true
+        },
+        resourceType: {
+            type: String
+        },
+        format: {
+            type: String
+        },
+        bytes: {
+            type: Number
+        },
+        width: {
+            type: Number
+        },
+        height: {
+            type: Number
+        },
+        duration: {
+            type: Number
+        }
+    },
+    {
+        _id: false
+    }
+)
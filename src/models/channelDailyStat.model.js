@@ -0,0 +1,51 @@
+import mongoose, {Schema} from "mongoose";
+
+export const CHANNEL_METRICS = ["views", "subscribers", "unsubscribes", "likes", "comments"]
+
+// Daily rollup of a channel's metrics, one document per channel and UTC day.
+// Incremented as the events happen, the dashboard reads these instead of the
+// raw reactions, subscriptions and comments.
+const channelDailyStatSchema = new Schema(
+    {
+        channel: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        day: {
+            type: Date, // midnight UTC
+            required: true
+        },
+        views: {
+            type: Number,
+            default: 0
+        },
+        subscribers: {
+            type: Number, // new subscriptions
+            default: 0
+        },
+        unsubscribes: {
+            type: Number,
+            default: 0
+        },
+        likes: {
+            type: Number, // net, removed likes count against the day they were removed
+            default: 0
+        },
+        comments: {
+            type: Number,
+            default: 0
+        },
+        // on the day live counting started: what happened before it, written by
+        // the backfill and added to the live counts when reading
+        backfilled: {
+            subscribers: Number,
+            likes: Number,
+            comments: Number
+        }
+    }
+)
+
+channelDailyStatSchema.index({ channel: 1, day: 1 }, { unique: true })
+
+export const ChannelDailyStat = mongoose.model("ChannelDailyStat", channelDailyStatSchema)
@@ -1,6 +1,9 @@
 import mongoose, {Schema} from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import {REACTION_TYPES, reactionCountsSchema} from "./reactionCounts.schema.js";
 
+// Threads are one level deep: replies point at a top level comment through
+// parent, replies to replies are attached to the same top level comment.
 const commentSchema = new Schema(
     {
         content: {
@@ -14,6 +17,34 @@ const commentSchema = new Schema(
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        parent: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null
+        },
+        replyCount: {
+            type: Number,
+            default: 0
+        },
+        reactionCounts: {
+            type: reactionCountsSchema(REACTION_TYPES.Comment),
+            default: () => ({})
+        },
+        isEdited: {
+            type: Boolean,
+            default: false
+        },
+        editedAt: {
+            type: Date
+        },
+        // deleted comments stay in place so their replies keep a parent
+        isDeleted: {
+            type: Boolean,
+            default: false
+        },
+        deletedAt: {
+            type: Date
         }
     },
     {
@@ -21,7 +52,8 @@ const commentSchema = new Schema(
     }
 )
 
+commentSchema.index({ video: 1, parent: 1, createdAt: -1 })
 
 commentSchema.plugin(mongooseAggregatePaginate)
 
-export const Comment = mongoose.model("Comment", commentSchema)
\ No newline at end of file
+export const Comment = mongoose.model("Comment", commentSchema)
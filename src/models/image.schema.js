@@ -0,0 +1,30 @@
+import {assetSchema} from "./asset.schema.js";
+
+// the sizes every kind of image is stored in, variant name -> [width, height]
+export const IMAGE_PRESETS = {
+    avatar: {
+        folder: "avatars",
+        variants: { 48: [48, 48], 128: [128, 128], 512: [512, 512] }
+    },
+    coverImage: {
+        folder: "cover-images",
+        variants: { 640: [640, 360], 1280: [1280, 720], 2560: [2560, 1440] }
+    },
+    thumbnail: {
+        folder: "thumbnails",
+        variants: { 320: [320, 180], 640: [640, 360], 1280: [1280, 720] }
+    }
+}
+
+// An image processed into several sizes (see services/image.service.js).
+// The asset fields describe the largest variant, so images stored before
+// there were variants and clients that only want one url keep working.
+// variants maps the size name, e.g. "128", to its file.
+export const imageSchema = assetSchema.clone()
+
+imageSchema.add({
+    variants: {
+        type: Map,
+        of: assetSchema
+    }
+})
@@ -0,0 +1,60 @@
+import mongoose, {Schema} from "mongoose";
+
+// background jobs of the mongo queue driver (jobs/mongo.driver.js)
+const jobSchema = new Schema(
+    {
+        type: {
+            type: String,
+            required: true
+        },
+        payload: {
+            type: Schema.Types.Mixed
+        },
+        status: {
+            type: String,
+            enum: ["queued", "running", "completed", "failed"],
+            default: "queued"
+        },
+        stage: {
+            type: String
+        },
+        progress: {
+            type: Number,
+            min: 0,
+            max: 100
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3
+        },
+        lastError: {
+            type: String
+        },
+        result: {
+            type: Schema.Types.Mixed
+        },
+        runAt: {
+            type: Date,
+            default: Date.now
+        },
+        // lease of the worker running the job, an expired lease means the worker died
+        lockedUntil: {
+            type: Date
+        },
+        finishedAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+jobSchema.index({ status: 1, type: 1, runAt: 1 })
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 })
+
+export const Job = mongoose.model("Job", jobSchema)
@@ -0,0 +1,62 @@
+import mongoose, {Schema} from "mongoose";
+
+// every file that was uploaded to storage, so superseded and orphaned files can be removed
+const mediaAssetSchema = new Schema(
+    {
+        provider: {
+            type: String,
+            required: true
+        },
+        key: {
+            type: String,
+            required: true
+        },
+        url: {
+            type: String
+        },
+        resourceType: {
+            type: String
+        },
+        bytes: {
+            type: Number
+        },
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        status: {
+            type: String,
+            enum: ["active", "pending_delete", "deleted", "failed"],
+            default: "active"
+        },
+        releaseReason: {
+            type: String,
+            enum: ["superseded", "orphaned", "deleted"]
+        },
+        // deletion queue bookkeeping
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        nextAttemptAt: {
+            type: Date
+        },
+        lastError: {
+            type: String
+        },
+        deletedAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+mediaAssetSchema.index({ provider: 1, key: 1 }, { unique: true })
+mediaAssetSchema.index({ status: 1, nextAttemptAt: 1 })
+mediaAssetSchema.index({ status: 1, createdAt: 1 })
+// paging of the orphan reconciliation
+mediaAssetSchema.index({ status: 1, _id: 1 })
+
+export const MediaAsset = mongoose.model("MediaAsset", mediaAssetSchema)
@@ -0,0 +1,24 @@
+import mongoose, {Schema} from "mongoose";
+
+// one document per one time data migration, so it runs to completion exactly once
+const migrationSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        // data from before this moment is what the migration takes care of
+        cutoverAt: {
+            type: Date
+        },
+        completedAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+export const Migration = mongoose.model("Migration", migrationSchema)
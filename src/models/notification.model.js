@@ -0,0 +1,62 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+export const NOTIFICATION_TYPES = ["subscription", "comment", "reply", "reaction", "new_video"]
+
+const NOTIFICATION_RETENTION_SECONDS = 90 * 24 * 60 * 60
+
+const notificationSchema = new Schema(
+    {
+        recipient: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        type: {
+            type: String,
+            enum: NOTIFICATION_TYPES,
+            required: true
+        },
+        // what the notification is about, video is also set for comments on a video
+        targetType: {
+            type: String,
+            enum: ["Video", "Comment", "Tweet"]
+        },
+        targetId: {
+            type: Schema.Types.ObjectId,
+            refPath: "targetType"
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video"
+        },
+        // repeated events (like, unlike, like again) update one notification
+        // instead of piling up, see services/notification.service.js
+        dedupeKey: {
+            type: String
+        },
+        readAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+notificationSchema.index({ recipient: 1, createdAt: -1 })
+notificationSchema.index({ recipient: 1, readAt: 1 })
+notificationSchema.index(
+    { recipient: 1, dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+)
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_SECONDS })
+
+notificationSchema.plugin(mongooseAggregatePaginate)
+
+export const Notification = mongoose.model("Notification", notificationSchema)
@@ -0,0 +1,40 @@
+import mongoose, {Schema} from "mongoose";
+
+// a started OAuth sign in, consumed by the callback, only the sha256 of the state is stored
+const oauthStateSchema = new Schema(
+    {
+        stateHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        provider: {
+            type: String,
+            required: true
+        },
+        codeVerifier: {
+            type: String,
+            required: true
+        },
+        // set when a logged in user links the provider to their account
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        // frontend page the callback sends the browser back to
+        redirectTo: {
+            type: String
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const OAuthState = mongoose.model("OAuthState", oauthStateSchema)
@@ -1,5 +1,12 @@
 import mongoose, {Schema} from "mongoose";
 
+export const PLAYLIST_VISIBILITIES = ["public", "unlisted", "private"]
+export const PLAYLIST_KINDS = ["custom", "watch_later"]
+
+// the position of a video is its index in videos
+export const MAX_PLAYLIST_VIDEOS = 5000
+export const MAX_PLAYLIST_COLLABORATORS = 50
+
 const playlistSchema = new Schema({
     name: {
         type: String,
@@ -7,7 +14,7 @@ const playlistSchema = new Schema({
     },
     description: {
         type: String,
-        required: true
+        default: ""
     },
     videos: [
         {
@@ -19,8 +26,32 @@ const playlistSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: "User"
     },
+    // unlisted playlists open by id but are not listed on the channel
+    visibility: {
+        type: String,
+        enum: PLAYLIST_VISIBILITIES,
+        default: "public"
+    },
+    // can add, remove and reorder videos, everything else stays with the owner
+    collaborators: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        }
+    ],
+    // every user has one built in, private "Watch Later" playlist
+    kind: {
+        type: String,
+        enum: PLAYLIST_KINDS,
+        default: "custom"
+    }
 }, {timestamps: true})
 
+playlistSchema.index({ owner: 1, updatedAt: -1 })
+playlistSchema.index({ collaborators: 1 })
+playlistSchema.index(
+    { owner: 1, kind: 1 },
+    { unique: true, partialFilterExpression: { kind: "watch_later" } }
+)
 
-
-export const Playlist = mongoose.model("Playlist", playlistSchema)
\ No newline at end of file
+export const Playlist = mongoose.model("Playlist", playlistSchema)
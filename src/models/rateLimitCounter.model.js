@@ -0,0 +1,25 @@
+import mongoose, {Schema} from "mongoose";
+
+// counters of the mongo rate limit store (rateLimit/mongo.store.js)
+const rateLimitCounterSchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true
+        },
+        count: {
+            type: Number,
+            default: 0
+        },
+        // end of the current window, the TTL monitor removes expired counters
+        resetAt: {
+            type: Date,
+            required: true
+        }
+    }
+)
+
+rateLimitCounterSchema.index({ key: 1 }, { unique: true })
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+export const RateLimitCounter = mongoose.model("RateLimitCounter", rateLimitCounterSchema)
@@ -0,0 +1,52 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import {REACTION_TYPES} from "./reactionCounts.schema.js";
+
+// One reaction per user and target, reacting again replaces the type.
+// Replaces the old Like model that had a nullable field per target kind.
+const reactionSchema = new Schema(
+    {
+        targetType: {
+            type: String,
+            enum: Object.keys(REACTION_TYPES),
+            required: true
+        },
+        targetId: {
+            type: Schema.Types.ObjectId,
+            refPath: "targetType",
+            required: true
+        },
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        type: {
+            type: String,
+            required: true,
+            validate: {
+                validator: function (type) {
+                    return REACTION_TYPES[this.targetType]?.includes(type)
+                },
+                message: "Unsupported reaction"
+            }
+        },
+        // when the current type was chosen, createdAt is the first reaction
+        reactedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+// makes concurrent reactions by the same user collapse into one document
+reactionSchema.index({ targetType: 1, targetId: 1, user: 1 }, { unique: true })
+// liked videos of a user, newest first
+reactionSchema.index({ user: 1, targetType: 1, type: 1, reactedAt: -1 })
+
+reactionSchema.plugin(mongooseAggregatePaginate)
+
+export const Reaction = mongoose.model("Reaction", reactionSchema)
@@ -0,0 +1,16 @@
+import {Schema} from "mongoose";
+
+// Reactions each kind of target accepts, tweets also take emoji reactions
+export const REACTION_TYPES = {
+    Video: ["like", "dislike"],
+    Comment: ["like", "dislike"],
+    Tweet: ["like", "dislike", "love", "laugh", "wow", "sad", "fire"]
+}
+
+// denormalized per type counters on the target, kept in sync by services/reaction.service.js
+export const reactionCountsSchema = (types) => new Schema(
+    Object.fromEntries(types.map((type) => [type, { type: Number, default: 0, min: 0 }])),
+    {
+        _id: false
+    }
+)
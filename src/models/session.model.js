@@ -0,0 +1,47 @@
+import mongoose, {Schema} from "mongoose";
+
+// One signed in device. Refresh tokens rotate inside the session, which makes
+// the session the token family: only the latest token is valid and presenting
+// an older one revokes the whole session.
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        tokenHash: {
+            type: String, // sha256 of the current refresh token
+            required: true
+        },
+        userAgent: {
+            type: String
+        },
+        ip: {
+            type: String
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        revokedAt: {
+            type: Date
+        },
+        revokedReason: {
+            type: String,
+            enum: ["logout", "revoked", "token_reuse", "password_changed", "suspended", "banned"]
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 })
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const Session = mongoose.model("Session", sessionSchema)
@@ -11,6 +11,9 @@ const subscriptionSchema = new Schema({
     }
 }, {timestamps: true})
 
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true })
+subscriptionSchema.index({ channel: 1, createdAt: -1 })
+
 
 
 export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose";
+import {REACTION_TYPES, reactionCountsSchema} from "./reactionCounts.schema.js";
 
 const tweetSchema = new Schema({
     content: {
@@ -8,8 +9,14 @@ const tweetSchema = new Schema({
     owner: {
         type: Schema.Types.ObjectId,
         ref: "User"
+    },
+    reactionCounts: {
+        type: reactionCountsSchema(REACTION_TYPES.Tweet),
+        default: () => ({})
     }
 }, {timestamps: true})
 
+tweetSchema.index({ owner: 1, createdAt: -1 })
+
 
 export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
@@ -0,0 +1,56 @@
+import mongoose, {Schema} from "mongoose";
+
+// state of a resumable upload, the bytes themselves live in public/temp/uploads
+const uploadSessionSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        fileName: {
+            type: String,
+            required: true
+        },
+        mimeType: {
+            type: String
+        },
+        fileSize: {
+            type: Number, // bytes, announced by the client on init
+            required: true
+        },
+        checksum: {
+            type: String // hex sha256 of the whole file, verified on finalize
+        },
+        offset: {
+            type: Number,
+            default: 0
+        },
+        status: {
+            type: String,
+            enum: ["active", "completed", "expired", "aborted"],
+            default: "active"
+        },
+        // set while a chunk is being written so two requests can't append at once
+        lockedUntil: {
+            type: Date
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video"
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 })
+// finished sessions are kept around for a week for clients that poll late
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema)
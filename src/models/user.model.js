@@ -1,6 +1,41 @@
 import mongoose, {Schema} from "mongoose";
 import jwt from "jsonwebtoken"
 import bcrypt from "bcrypt"
+import crypto from "crypto"
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import {imageSchema} from "./image.schema.js";
+import {ROLES} from "../utils/permissions.js";
+import {NOTIFICATION_TYPES} from "./notification.model.js";
+
+export const ACCOUNT_STATUSES = ["active", "suspended", "banned"]
+
+// accounts created through OAuth may have no password
+function hasNoLinkedProvider() {
+    return !this.oauthAccounts?.length
+}
+
+// one linked account per provider, see services/oauth.service.js
+const oauthAccountSchema = new Schema(
+    {
+        provider: {
+            type: String,
+            required: true
+        },
+        // the provider's stable id of the account
+        subject: {
+            type: String,
+            required: true
+        },
+        email: {
+            type: String
+        },
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { _id: false }
+)
 
 const userSchema = new Schema(
     {
@@ -25,25 +60,62 @@ const userSchema = new Schema(
             trim: true, 
             index: true
         },
+        // size variants in avatar.variants / coverImage.variants
+        // registerUser requires an avatar, accounts created through OAuth may come without
         avatar: {
-            type: String, // cloudinary url
-            required: true,
+            type: imageSchema,
         },
         coverImage: {
-            type: String, // cloudinary url
+            type: imageSchema,
         },
-        watchHistory: [
-            {
-                type: Schema.Types.ObjectId,
-                ref: "Video"
-            }
-        ],
         password: {
             type: String,
-            required: [true, 'Password is required']
+            required: [hasNoLinkedProvider, 'Password is required']
         },
-        refreshToken: {
-            type: String
+        oauthAccounts: {
+            type: [oauthAccountSchema],
+            default: undefined
+        },
+        isEmailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerifiedAt: {
+            type: Date
+        },
+        role: {
+            type: String,
+            enum: ROLES,
+            default: "user",
+            index: true
+        },
+        status: {
+            type: String,
+            enum: ACCOUNT_STATUSES,
+            default: "active",
+            index: true
+        },
+        // notification types the user wants, all on by default
+        notificationPreferences: {
+            type: new Schema(
+                Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, { type: Boolean, default: true }])),
+                { _id: false }
+            ),
+            default: () => ({})
+        },
+        // last time the subscription feed was opened, for its unread count
+        feedSeenAt: {
+            type: Date
+        },
+        // last suspension or ban, until is empty for indefinite suspensions
+        moderation: {
+            reason: String,
+            until: Date,
+            by: {
+                type: Schema.Types.ObjectId,
+                ref: "User"
+            },
+            at: Date
         }
 
     },
@@ -59,14 +131,38 @@ userSchema.pre("save", async function (next) {
     next()
 })
 
+userSchema.index(
+    { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+    { unique: true, partialFilterExpression: { "oauthAccounts.subject": { $exists: true } } }
+)
+
+// null when the account may be used, otherwise the reason it can't
+userSchema.methods.getAccessRestriction = function(){
+    if (this.status === "banned") {
+        return "This account has been banned"
+    }
+
+    const until = this.moderation?.until
+    if (this.status === "suspended" && (!until || until > new Date())) {
+        return until
+            ? `This account is suspended until ${until.toISOString()}`
+            : "This account is suspended"
+    }
+    return null
+}
+
 userSchema.methods.isPasswordCorrect = async function(password){
+    // accounts that only sign in through OAuth
+    if (!this.password) return false
     return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function(){
+// sessionId ties both tokens to a Session, see models/session.model.js
+userSchema.methods.generateAccessToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
             email: this.email,
             username: this.username,
             fullName: this.fullName
@@ -77,17 +173,20 @@ userSchema.methods.generateAccessToken = function(){
         }
     )
 }
-userSchema.methods.generateRefreshToken = function(){
+userSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
-            
+            sid: sessionId
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
-            expiresIn: process.env.REFRESH_TOKEN_EXPIRY
+            expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+            jwtid: crypto.randomUUID() // two rotations in the same second still get different tokens
         }
     )
 }
 
+userSchema.plugin(mongooseAggregatePaginate)
+
 export const User = mongoose.model("User", userSchema)
\ No newline at end of file
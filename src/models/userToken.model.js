@@ -0,0 +1,37 @@
+import mongoose, {Schema} from "mongoose";
+
+// single use tokens mailed to users, only their sha256 is stored
+const userTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        type: {
+            type: String,
+            enum: ["email_verification", "password_reset"],
+            required: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        usedAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+userTokenSchema.index({ user: 1, type: 1 })
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const UserToken = mongoose.model("UserToken", userTokenSchema)
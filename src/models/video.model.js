@@ -1,15 +1,44 @@
 import mongoose, {Schema} from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import {assetSchema} from "./asset.schema.js";
+import {imageSchema} from "./image.schema.js";
+import {REACTION_TYPES, reactionCountsSchema} from "./reactionCounts.schema.js";
+
+// public: listed and searchable, unlisted: anyone with the link, private: owner only
+export const VIDEO_VISIBILITIES = ["public", "unlisted", "private"]
+
+// one quality level of the HLS ladder, playlists are built from it on request
+const renditionSchema = new Schema(
+    {
+        name: {
+            type: String, // e.g. 480p, also the playlist name
+            required: true
+        },
+        width: Number,
+        height: Number,
+        bandwidth: Number, // bits per second, advertised in the master playlist
+        segments: [
+            {
+                _id: false,
+                asset: assetSchema,
+                duration: Number
+            }
+        ]
+    },
+    {
+        _id: false
+    }
+)
 
 const videoSchema = new Schema(
     {
+        // both are set by the processing job (jobs/videoProcessing.job.js)
         videoFile: {
-            type: String, //cloudinary url
-            required: true
+            type: assetSchema
         },
+        // size variants in thumbnail.variants
         thumbnail: {
-            type: String, //cloudinary url
-            required: true
+            type: imageSchema
         },
         title: {
             type: String, 
@@ -20,17 +49,73 @@ const videoSchema = new Schema(
             required: true
         },
         duration: {
-            type: Number, 
-            required: true
+            type: Number, // seconds, probed from the file
+            default: 0
+        },
+        resolution: {
+            width: Number,
+            height: Number
+        },
+        codec: {
+            video: String,
+            audio: String
+        },
+        renditions: {
+            type: [renditionSchema],
+            default: []
+        },
+        processingStatus: {
+            type: String,
+            enum: ["queued", "processing", "ready", "failed"],
+            default: "queued"
+        },
+        processingError: {
+            message: String,
+            failedAt: Date
+        },
+        processingJob: {
+            type: String // id in the job queue, used to report progress
         },
         views: {
             type: Number,
             default: 0
         },
+        reactionCounts: {
+            type: reactionCountsSchema(REACTION_TYPES.Video),
+            default: () => ({})
+        },
+        // whether the video is live, false while a scheduled release is pending
         isPublished: {
             type: Boolean,
             default: true
         },
+        visibility: {
+            type: String,
+            enum: VIDEO_VISIBILITIES,
+            default: "public"
+        },
+        // scheduled release, the publish scheduler sets isPublished once it has passed
+        publishAt: {
+            type: Date
+        },
+        // when the video first was both live and ready, feeds are ordered by it
+        publishedAt: {
+            type: Date
+        },
+        // top level comment the owner pinned above all others
+        pinnedComment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment"
+        },
+        // set when staff force-unpublished the video, the owner can't publish it again
+        moderation: {
+            reason: String,
+            by: {
+                type: Schema.Types.ObjectId,
+                ref: "User"
+            },
+            at: Date
+        },
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
@@ -38,10 +123,27 @@ const videoSchema = new Schema(
 
     }, 
     {
-        timestamps: true
+        timestamps: true,
+        toJSON: {
+            // segment lists can be long and are only needed to build playlists
+            transform: (_, ret) => {
+                ret.renditions?.forEach((rendition) => delete rendition.segments)
+                return ret
+            }
+        }
     }
 )
 
+// used by the search in getAllVideos, title matches rank higher than description matches
+videoSchema.index(
+    { title: "text", description: "text" },
+    { name: "video_text_search", weights: { title: 10, description: 2 } }
+)
+videoSchema.index({ owner: 1, createdAt: -1 })
+videoSchema.index({ owner: 1, publishedAt: -1 })
+videoSchema.index({ isPublished: 1, visibility: 1, createdAt: -1 })
+videoSchema.index({ publishAt: 1 }, { partialFilterExpression: { isPublished: false } })
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
@@ -0,0 +1,47 @@
+import mongoose, {Schema} from "mongoose";
+
+export const VIDEO_METRICS = ["views", "likes", "comments"]
+
+// Daily rollup of a video's metrics, one document per video and UTC day.
+// channel is copied from the video so top videos of a channel need no lookup.
+const videoDailyStatSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        channel: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        day: {
+            type: Date, // midnight UTC
+            required: true
+        },
+        views: {
+            type: Number,
+            default: 0
+        },
+        likes: {
+            type: Number,
+            default: 0
+        },
+        comments: {
+            type: Number,
+            default: 0
+        },
+        // on the day live counting started: what happened before it, written by
+        // the backfill and added to the live counts when reading
+        backfilled: {
+            likes: Number,
+            comments: Number
+        }
+    }
+)
+
+videoDailyStatSchema.index({ video: 1, day: 1 }, { unique: true })
+videoDailyStatSchema.index({ channel: 1, day: 1 })
+
+export const VideoDailyStat = mongoose.model("VideoDailyStat", videoDailyStatSchema)
@@ -0,0 +1,44 @@
+import mongoose, {Schema} from "mongoose";
+
+// Watch time of one viewer on one video inside the current dedup window.
+// A view is counted once per document, documents expire with their window.
+const videoViewSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        viewerKey: {
+            type: String, // "u:<userId>" or "a:<hash of ip and user agent>"
+            required: true
+        },
+        watchedSeconds: {
+            type: Number,
+            default: 0
+        },
+        counted: {
+            type: Boolean,
+            default: false
+        },
+        // start of the dedup window, watch time can't exceed the time since
+        startedAt: {
+            type: Date
+        },
+        lastHeartbeatAt: {
+            type: Date
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+videoViewSchema.index({ video: 1, viewerKey: 1 }, { unique: true })
+videoViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const VideoView = mongoose.model("VideoView", videoViewSchema)
@@ -0,0 +1,40 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// one entry per user and video, moved to the top every time the video is watched again
+const watchHistorySchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        lastWatchedAt: {
+            type: Date,
+            default: Date.now
+        },
+        position: {
+            type: Number, // seconds into the video where the user stopped
+            default: 0
+        },
+        watchedSeconds: {
+            type: Number, // total time spent watching, across sessions
+            default: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true })
+watchHistorySchema.index({ user: 1, lastWatchedAt: -1 })
+
+watchHistorySchema.plugin(mongooseAggregatePaginate)
+
+export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema)
@@ -0,0 +1,29 @@
+// GitHub is plain OAuth2, the verified primary address comes from a second call
+// because /user only shows the public one
+
+const endpoints = () => ({
+    authorization: "https://github.com/login/oauth/authorize",
+    token: "https://github.com/login/oauth/access_token",
+    userInfo: "https://api.github.com/user"
+})
+
+const profile = async (userInfo, { getJson }) => {
+    const emails = await getJson("https://api.github.com/user/emails")
+    const primary = Array.isArray(emails) ? emails.find((entry) => entry.primary) : null
+
+    return {
+        subject: userInfo.id,
+        email: primary?.email,
+        emailVerified: primary?.verified === true,
+        name: userInfo.name || userInfo.login,
+        username: userInfo.login,
+        picture: userInfo.avatar_url
+    }
+}
+
+export default {
+    name: "github",
+    endpoints,
+    scopes: ["read:user", "user:email"],
+    profile
+}
@@ -0,0 +1,23 @@
+// Google, through its OpenID Connect userinfo endpoint
+
+const endpoints = () => ({
+    authorization: "https://accounts.google.com/o/oauth2/v2/auth",
+    token: "https://oauth2.googleapis.com/token",
+    userInfo: "https://openidconnect.googleapis.com/v1/userinfo"
+})
+
+const profile = async (userInfo) => ({
+    subject: userInfo.sub,
+    email: userInfo.email,
+    emailVerified: userInfo.email_verified === true,
+    name: userInfo.name,
+    username: userInfo.email?.split("@")[0],
+    picture: userInfo.picture
+})
+
+export default {
+    name: "google",
+    endpoints,
+    scopes: ["openid", "email", "profile"],
+    profile
+}
@@ -0,0 +1,150 @@
+import crypto from "crypto"
+import { ApiError } from "../utils/ApiError.js"
+import googleProvider from "./google.provider.js"
+import githubProvider from "./github.provider.js"
+import mockProvider from "./mock.provider.js"
+
+// Every provider is a plain config:
+//   name                              -> used in the routes and stored on linked accounts
+//   endpoints()                       -> {authorization, token, userInfo}
+//   scopes                            -> requested scopes
+//   profile(userInfo, {getJson})      -> {subject, email, emailVerified, name, username, picture}
+//
+// Credentials come from OAUTH_<NAME>_CLIENT_ID / OAUTH_<NAME>_CLIENT_SECRET, a
+// provider without a client id is switched off. All of them use the
+// authorization code flow with PKCE (S256).
+
+const REQUEST_TIMEOUT_MS = 10 * 1000
+
+const providers = {
+    [googleProvider.name]: googleProvider,
+    [githubProvider.name]: githubProvider,
+    [mockProvider.name]: mockProvider
+}
+
+const getCredentials = (provider) => {
+    const prefix = `OAUTH_${provider.name.toUpperCase()}`
+    return {
+        clientId: process.env[`${prefix}_CLIENT_ID`],
+        clientSecret: process.env[`${prefix}_CLIENT_SECRET`]
+    }
+}
+
+const isEnabled = (provider) => Boolean(getCredentials(provider).clientId && provider.endpoints())
+
+const listProviders = () => Object.values(providers).filter(isEnabled).map((provider) => provider.name)
+
+const getProvider = (name) => {
+    const provider = Object.hasOwn(providers, name) ? providers[name] : null
+    if (!provider || !isEnabled(provider)) {
+        throw new ApiError(404, `Sign in with ${name} is not available`)
+    }
+    return provider
+}
+
+const getRedirectUri = (provider) => {
+    const baseUrl = (process.env.PUBLIC_BASE_URL || "http://localhost:8000").replace(/\/$/, "")
+    return `${baseUrl}/api/v1/oauth/${provider.name}/callback`
+}
+
+const createPkcePair = () => {
+    const codeVerifier = crypto.randomBytes(32).toString("base64url")
+    const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+    return { codeVerifier, codeChallenge }
+}
+
+const buildAuthorizationUrl = (provider, { state, codeChallenge }) => {
+    const url = new URL(provider.endpoints().authorization)
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: getCredentials(provider).clientId,
+        redirect_uri: getRedirectUri(provider),
+        scope: provider.scopes.join(" "),
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256"
+    })
+    return url.toString()
+}
+
+const requestJson = async (provider, url, options = {}) => {
+    let response
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers: {
+                Accept: "application/json",
+                "User-Agent": "VideoTube",
+                ...options.headers
+            },
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        })
+    } catch (error) {
+        throw new ApiError(502, `Could not reach ${provider.name}`)
+    }
+
+    const body = await response.json().catch(() => null)
+    return { ok: response.ok, status: response.status, body }
+}
+
+// trades the code from the callback for the provider's access token
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+    const { clientId, clientSecret } = getCredentials(provider)
+
+    const { ok, status, body } = await requestJson(provider, provider.endpoints().token, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: getRedirectUri(provider),
+            client_id: clientId,
+            ...(clientSecret ? { client_secret: clientSecret } : {}),
+            code_verifier: codeVerifier
+        })
+    })
+
+    // github answers a bad code with 200 and an error field
+    if (!ok || !body?.access_token) {
+        if (status === 400 || status === 401 || body?.error) {
+            throw new ApiError(400, "Authorization code is invalid or has expired")
+        }
+        throw new ApiError(502, `${provider.name} did not issue a token`)
+    }
+
+    return { accessToken: body.access_token }
+}
+
+const fetchProfile = async (provider, { accessToken }) => {
+    const getJson = async (url) => {
+        const { ok, body } = await requestJson(provider, url, {
+            headers: { Authorization: `Bearer ${accessToken}` }
+        })
+        if (!ok || !body) {
+            throw new ApiError(502, `Could not fetch the ${provider.name} profile`)
+        }
+        return body
+    }
+
+    const profile = await provider.profile(await getJson(provider.endpoints().userInfo), { getJson })
+
+    if (!profile?.subject) {
+        throw new ApiError(502, `${provider.name} did not identify the account`)
+    }
+
+    return {
+        ...profile,
+        subject: String(profile.subject),
+        email: profile.email?.trim().toLowerCase() || undefined,
+        emailVerified: Boolean(profile.email && profile.emailVerified)
+    }
+}
+
+export {
+    listProviders,
+    getProvider,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    fetchProfile
+}
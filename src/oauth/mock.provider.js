@@ -0,0 +1,30 @@
+// Any OpenID Connect compliant IdP at OAUTH_MOCK_ISSUER, meant for a local mock
+// server in development and tests. Endpoints follow the common /authorize,
+// /token and /userinfo layout.
+
+const endpoints = () => {
+    const issuer = process.env.OAUTH_MOCK_ISSUER?.replace(/\/$/, "")
+    if (!issuer) return null
+
+    return {
+        authorization: `${issuer}/authorize`,
+        token: `${issuer}/token`,
+        userInfo: `${issuer}/userinfo`
+    }
+}
+
+const profile = async (userInfo) => ({
+    subject: userInfo.sub,
+    email: userInfo.email,
+    emailVerified: userInfo.email_verified === true,
+    name: userInfo.name,
+    username: userInfo.preferred_username || userInfo.email?.split("@")[0],
+    picture: userInfo.picture
+})
+
+export default {
+    name: "mock",
+    endpoints,
+    scopes: ["openid", "email", "profile"],
+    profile
+}
@@ -0,0 +1,50 @@
+import memoryStore from "./memory.store.js"
+import mongoStore from "./mongo.store.js"
+import { ApiError } from "../utils/ApiError.js"
+
+// Counter stores for rate limiting, every store implements
+//   increment(key, windowMs) -> {count, resetAt}   starts a new window when the last one ended
+//   get(key) -> {count, resetAt} | null
+//   set(key, {count, resetAt})
+//   reset(key)
+// RATE_LIMIT_STORE picks one: "mongo" (default, shared by all instances) or "memory".
+
+const stores = {
+    [memoryStore.name]: memoryStore,
+    [mongoStore.name]: mongoStore
+}
+
+const getStore = () => {
+    const store = stores[process.env.RATE_LIMIT_STORE || "mongo"]
+    if (!store) {
+        throw new Error(`Unknown rate limit store: ${process.env.RATE_LIMIT_STORE}`)
+    }
+    return store
+}
+
+const incrementCounter = (key, windowMs) => getStore().increment(key, windowMs)
+
+const getCounter = (key) => getStore().get(key)
+
+const setCounter = (key, counter) => getStore().set(key, counter)
+
+const resetCounter = (key) => getStore().reset(key)
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1)
+
+// 429 in the usual error envelope, the error handler sends the headers along
+const tooManyRequests = (message, resetAt, headers = {}) => {
+    const retryAfter = secondsUntil(resetAt)
+    const error = new ApiError(429, message, [{ message, retryAfter }])
+    error.headers = { ...headers, "Retry-After": String(retryAfter) }
+    return error
+}
+
+export {
+    incrementCounter,
+    getCounter,
+    setCounter,
+    resetCounter,
+    secondsUntil,
+    tooManyRequests
+}
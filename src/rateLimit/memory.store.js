@@ -0,0 +1,53 @@
+// Counters kept in the memory of this process. Good for development and single
+// instance setups, every instance counts on its own and restarts forget everything.
+
+const counters = new Map()
+
+const PRUNE_INTERVAL_MS = 60 * 1000
+let lastPruneAt = Date.now()
+
+const pruneExpired = (now) => {
+    if (now - lastPruneAt < PRUNE_INTERVAL_MS) return
+    lastPruneAt = now
+
+    for (const [key, counter] of counters) {
+        if (counter.resetAt.getTime() <= now) counters.delete(key)
+    }
+}
+
+const current = (key, now = Date.now()) => {
+    const counter = counters.get(key)
+    return counter && counter.resetAt.getTime() > now ? counter : null
+}
+
+const increment = async (key, windowMs) => {
+    const now = Date.now()
+    pruneExpired(now)
+
+    const counter = current(key, now) ?? { count: 0, resetAt: new Date(now + windowMs) }
+    counter.count += 1
+    counters.set(key, counter)
+
+    return { ...counter }
+}
+
+const get = async (key) => {
+    const counter = current(key)
+    return counter && { ...counter }
+}
+
+const set = async (key, { count, resetAt }) => {
+    counters.set(key, { count, resetAt })
+}
+
+const reset = async (key) => {
+    counters.delete(key)
+}
+
+export default {
+    name: "memory",
+    increment,
+    get,
+    set,
+    reset
+}
@@ -0,0 +1,53 @@
+import { RateLimitCounter } from "../models/rateLimitCounter.model.js"
+
+// Counters persisted in MongoDB, so all app instances share them. Every hit is
+// one atomic pipeline update that either increments the counter or starts a
+// new window when the old one ran out.
+
+const toCounter = (doc) => doc && { count: doc.count, resetAt: doc.resetAt }
+
+const increment = async (key, windowMs, retried = false) => {
+    const now = new Date()
+    const isActive = { $gt: ["$resetAt", now] }
+
+    try {
+        const counter = await RateLimitCounter.findOneAndUpdate(
+            { key },
+            [
+                {
+                    $set: {
+                        count: { $cond: [isActive, { $add: ["$count", 1] }, 1] },
+                        resetAt: { $cond: [isActive, "$resetAt", new Date(now.getTime() + windowMs)] }
+                    }
+                }
+            ],
+            { upsert: true, new: true }
+        ).lean()
+
+        return toCounter(counter)
+    } catch (error) {
+        // a concurrent first hit created the counter, count on that one
+        if (error?.code !== 11000 || retried) throw error
+        return increment(key, windowMs, true)
+    }
+}
+
+const get = async (key) => toCounter(
+    await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } }).lean()
+)
+
+const set = async (key, { count, resetAt }) => {
+    await RateLimitCounter.updateOne({ key }, { $set: { count, resetAt } }, { upsert: true })
+}
+
+const reset = async (key) => {
+    await RateLimitCounter.deleteOne({ key })
+}
+
+export default {
+    name: "mongo",
+    increment,
+    get,
+    set,
+    reset
+}
@@ -0,0 +1,20 @@
+// Rate limit policies, applied per route with rateLimit("<name>").
+// by "ip" counts per client address, by "user" per logged in user (falling back
+// to the address for anonymous requests, so it has to run after verifyJWT).
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+export const RATE_LIMIT_POLICIES = {
+    login: { windowMs: 15 * MINUTE, max: 20, by: "ip" },
+    register: { windowMs: HOUR, max: 5, by: "ip" },
+    refreshToken: { windowMs: 15 * MINUTE, max: 60, by: "ip" },
+    // anything that sends a mail or takes a mailed token
+    accountEmail: { windowMs: HOUR, max: 10, by: "ip" },
+    // starting and finishing OAuth sign ins
+    oauth: { windowMs: 15 * MINUTE, max: 30, by: "ip" },
+    comment: { windowMs: 10 * MINUTE, max: 20, by: "user" },
+    tweet: { windowMs: HOUR, max: 30, by: "user" },
+    reaction: { windowMs: MINUTE, max: 60, by: "user" },
+    upload: { windowMs: HOUR, max: 20, by: "user" }
+}
@@ -0,0 +1,59 @@
+import { Router } from 'express';
+import {
+    banUser,
+    deleteAnyComment,
+    deleteAnyTweet,
+    listUsers,
+    reinstateUser,
+    restoreVideo,
+    suspendUser,
+    unpublishVideo,
+    updateUserRole,
+} from "../controllers/admin.controller.js"
+import {verifyJWT, requirePermission} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    banUserBody,
+    listUsersQuery,
+    moderateVideoBody,
+    suspendUserBody,
+    updateRoleBody,
+    userIdParams,
+} from "../validators/admin.validator.js"
+import {videoIdParams} from "../validators/video.validator.js"
+import {commentParams} from "../validators/comment.validator.js"
+import {tweetParams} from "../validators/tweet.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/users").get(requirePermission("users:read"), validate({ query: listUsersQuery }), listUsers);
+
+router
+    .route("/users/:userId/suspend")
+    .post(requirePermission("users:suspend"), validate({ params: userIdParams, body: suspendUserBody }), suspendUser);
+router
+    .route("/users/:userId/ban")
+    .post(requirePermission("users:ban"), validate({ params: userIdParams, body: banUserBody }), banUser);
+router
+    .route("/users/:userId/reinstate")
+    .post(requirePermission("users:suspend"), validate({ params: userIdParams }), reinstateUser);
+router
+    .route("/users/:userId/role")
+    .patch(requirePermission("users:role"), validate({ params: userIdParams, body: updateRoleBody }), updateUserRole);
+
+router
+    .route("/videos/:videoId/unpublish")
+    .post(requirePermission("videos:moderate"), validate({ params: videoIdParams, body: moderateVideoBody }), unpublishVideo);
+router
+    .route("/videos/:videoId/restore")
+    .post(requirePermission("videos:moderate"), validate({ params: videoIdParams }), restoreVideo);
+
+router
+    .route("/comments/:commentId")
+    .delete(requirePermission("comments:delete"), validate({ params: commentParams }), deleteAnyComment);
+router
+    .route("/tweets/:tweetId")
+    .delete(requirePermission("tweets:delete"), validate({ params: tweetParams }), deleteAnyTweet);
+
+export default router
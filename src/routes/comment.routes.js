@@ -2,16 +2,41 @@ import { Router } from 'express';
 import {
     addComment,
     deleteComment,
+    getCommentReplies,
     getVideoComments,
+    pinComment,
+    unpinComment,
     updateComment,
 } from "../controllers/comment.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyJWT, optionalAuth} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    addCommentBody,
+    commentBody,
+    commentParams,
+    commentRepliesQuery,
+    videoCommentsParams,
+    videoCommentsQuery,
+} from "../validators/comment.validator.js"
 
 const router = Router();
 
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
-
-router.route("/:videoId").get(getVideoComments).post(addComment);
-router.route("/c/:commentId").delete(deleteComment).patch(updateComment);
+// reading is open to everyone, writing needs a login
+router
+    .route("/:videoId")
+    .get(optionalAuth, validate({ params: videoCommentsParams, query: videoCommentsQuery }), getVideoComments)
+    .post(verifyJWT, rateLimit("comment"), validate({ params: videoCommentsParams, body: addCommentBody }), addComment);
+router
+    .route("/c/:commentId")
+    .delete(verifyJWT, validate({ params: commentParams }), deleteComment)
+    .patch(verifyJWT, validate({ params: commentParams, body: commentBody }), updateComment);
+router
+    .route("/c/:commentId/replies")
+    .get(optionalAuth, validate({ params: commentParams, query: commentRepliesQuery }), getCommentReplies);
+router
+    .route("/c/:commentId/pin")
+    .post(verifyJWT, validate({ params: commentParams }), pinComment)
+    .delete(verifyJWT, validate({ params: commentParams }), unpinComment);
 
-export default router
\ No newline at end of file
+export default router
@@ -2,14 +2,25 @@ import { Router } from 'express';
 import {
     getChannelStats,
     getChannelVideos,
+    getVideoStats,
 } from "../controllers/dashboard.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    channelStatsQuery,
+    channelVideosQuery,
+    videoStatsParams,
+    videoStatsQuery,
+} from "../validators/dashboard.validator.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/stats").get(getChannelStats);
-router.route("/videos").get(getChannelVideos);
+router.route("/stats").get(validate({ query: channelStatsQuery }), getChannelStats);
+router.route("/videos").get(validate({ query: channelVideosQuery }), getChannelVideos);
+router
+    .route("/videos/:videoId/stats")
+    .get(validate({ params: videoStatsParams, query: videoStatsQuery }), getVideoStats);
 
-export default router
\ No newline at end of file
+export default router
@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import {
+    getFeedUnreadCount,
+    getSubscriptionFeed,
+} from "../controllers/feed.controller.js"
+import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {feedQuery} from "../validators/feed.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").get(validate({ query: feedQuery }), getSubscriptionFeed);
+router.route("/unread").get(getFeedUnreadCount);
+
+export default router
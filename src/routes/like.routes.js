@@ -1,18 +1,36 @@
 import { Router } from 'express';
 import {
+    deleteReaction,
     getLikedVideos,
+    putReaction,
     toggleCommentLike,
     toggleVideoLike,
     toggleTweetLike,
 } from "../controllers/like.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    commentLikeParams,
+    likedVideosQuery,
+    reactionBody,
+    reactionParams,
+    toggleReactionQuery,
+    tweetLikeParams,
+    videoLikeParams,
+} from "../validators/like.validator.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/toggle/v/:videoId").post(toggleVideoLike);
-router.route("/toggle/c/:commentId").post(toggleCommentLike);
-router.route("/toggle/t/:tweetId").post(toggleTweetLike);
-router.route("/videos").get(getLikedVideos);
+router.route("/toggle/v/:videoId").post(rateLimit("reaction"), validate({ params: videoLikeParams, query: toggleReactionQuery }), toggleVideoLike);
+router.route("/toggle/c/:commentId").post(rateLimit("reaction"), validate({ params: commentLikeParams, query: toggleReactionQuery }), toggleCommentLike);
+router.route("/toggle/t/:tweetId").post(rateLimit("reaction"), validate({ params: tweetLikeParams, query: toggleReactionQuery }), toggleTweetLike);
+router.route("/videos").get(validate({ query: likedVideosQuery }), getLikedVideos);
+
+router
+    .route("/:targetType/:targetId")
+    .put(rateLimit("reaction"), validate({ params: reactionParams, body: reactionBody }), putReaction)
+    .delete(validate({ params: reactionParams }), deleteReaction);
 
-export default router
\ No newline at end of file
+export default router
@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import {
+    getNotificationPreferences,
+    getNotifications,
+    getUnreadNotificationCount,
+    markAllNotificationsRead,
+    markNotificationRead,
+    streamNotifications,
+    updateNotificationPreferences,
+} from "../controllers/notification.controller.js"
+import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    notificationParams,
+    notificationsQuery,
+    preferencesBody,
+} from "../validators/notification.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").get(validate({ query: notificationsQuery }), getNotifications);
+router.route("/unread-count").get(getUnreadNotificationCount);
+router.route("/stream").get(streamNotifications);
+router.route("/read-all").patch(markAllNotificationsRead);
+router
+    .route("/preferences")
+    .get(getNotificationPreferences)
+    .patch(validate({ body: preferencesBody }), updateNotificationPreferences);
+router.route("/:notificationId/read").patch(validate({ params: notificationParams }), markNotificationRead);
+
+export default router
@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import {
+    authorize,
+    callback,
+    getAccounts,
+    getProviders,
+    linkAccount,
+    unlinkAccount,
+} from "../controllers/oauth.controller.js"
+import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    authorizeQuery,
+    callbackQuery,
+    linkBody,
+    providerParams,
+} from "../validators/oauth.validator.js"
+
+const router = Router();
+
+router.route("/providers").get(getProviders);
+router.route("/accounts").get(verifyJWT, getAccounts);
+router
+    .route("/:provider/authorize")
+    .get(rateLimit("oauth"), validate({ params: providerParams, query: authorizeQuery }), authorize);
+router
+    .route("/:provider/callback")
+    .get(rateLimit("oauth"), validate({ params: providerParams, query: callbackQuery }), callback);
+router
+    .route("/:provider/link")
+    .post(verifyJWT, rateLimit("oauth"), validate({ params: providerParams, body: linkBody }), linkAccount);
+router.route("/:provider").delete(verifyJWT, validate({ params: providerParams }), unlinkAccount);
+
+export default router
@@ -1,30 +1,59 @@
 import { Router } from 'express';
 import {
+    addCollaborator,
     addVideoToPlaylist,
     createPlaylist,
     deletePlaylist,
     getPlaylistById,
     getUserPlaylists,
+    getWatchLaterPlaylist,
+    moveVideoInPlaylist,
+    removeCollaborator,
     removeVideoFromPlaylist,
+    reorderPlaylist,
     updatePlaylist,
 } from "../controllers/playlist.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyJWT, optionalAuth} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    addVideoBody,
+    collaboratorBody,
+    collaboratorParams,
+    createPlaylistBody,
+    moveVideoBody,
+    playlistParams,
+    playlistVideoParams,
+    reorderPlaylistBody,
+    updatePlaylistBody,
+    userPlaylistsParams,
+} from "../validators/playlist.validator.js"
 
 const router = Router();
 
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+// reading is open to everyone, writing needs a login
+router.route("/").post(verifyJWT, validate({ body: createPlaylistBody }), createPlaylist)
 
-router.route("/").post(createPlaylist)
+router.route("/watch-later").get(verifyJWT, getWatchLaterPlaylist)
 
 router
     .route("/:playlistId")
-    .get(getPlaylistById)
-    .patch(updatePlaylist)
-    .delete(deletePlaylist);
+    .get(optionalAuth, validate({ params: playlistParams }), getPlaylistById)
+    .patch(verifyJWT, validate({ params: playlistParams, body: updatePlaylistBody }), updatePlaylist)
+    .delete(verifyJWT, validate({ params: playlistParams }), deletePlaylist);
+
+router.route("/add/:videoId/:playlistId").patch(verifyJWT, validate({ params: playlistVideoParams, body: addVideoBody }), addVideoToPlaylist);
+router.route("/remove/:videoId/:playlistId").patch(verifyJWT, validate({ params: playlistVideoParams }), removeVideoFromPlaylist);
 
-router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
-router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist);
+router.route("/:playlistId/order").put(verifyJWT, validate({ params: playlistParams, body: reorderPlaylistBody }), reorderPlaylist);
+router
+    .route("/:playlistId/videos/:videoId/position")
+    .patch(verifyJWT, validate({ params: playlistVideoParams, body: moveVideoBody }), moveVideoInPlaylist);
+
+router.route("/:playlistId/collaborators").post(verifyJWT, validate({ params: playlistParams, body: collaboratorBody }), addCollaborator);
+router
+    .route("/:playlistId/collaborators/:userId")
+    .delete(verifyJWT, validate({ params: collaboratorParams }), removeCollaborator);
 
-router.route("/user/:userId").get(getUserPlaylists);
+router.route("/user/:userId").get(optionalAuth, validate({ params: userPlaylistsParams }), getUserPlaylists);
 
-export default router
\ No newline at end of file
+export default router
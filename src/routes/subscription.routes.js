@@ -5,15 +5,17 @@ import {
     toggleSubscription,
 } from "../controllers/subscription.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {channelParams, subscriberParams} from "../validators/subscription.validator.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router
     .route("/c/:channelId")
-    .get(getSubscribedChannels)
-    .post(toggleSubscription);
+    .get(validate({ params: channelParams }), getSubscribedChannels)
+    .post(validate({ params: channelParams }), toggleSubscription);
 
-router.route("/u/:subscriberId").get(getUserChannelSubscribers);
+router.route("/u/:subscriberId").get(validate({ params: subscriberParams }), getUserChannelSubscribers);
 
-export default router
\ No newline at end of file
+export default router
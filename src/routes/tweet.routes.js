@@ -5,13 +5,24 @@ import {
     getUserTweets,
     updateTweet,
 } from "../controllers/tweet.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyJWT, optionalAuth} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    tweetBody,
+    tweetParams,
+    userTweetsParams,
+    userTweetsQuery,
+} from "../validators/tweet.validator.js"
 
 const router = Router();
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createTweet);
-router.route("/user/:userId").get(getUserTweets);
-router.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
+// reading is open to everyone, writing needs a login
+router.route("/").post(verifyJWT, rateLimit("tweet"), validate({ body: tweetBody }), createTweet);
+router.route("/user/:userId").get(optionalAuth, validate({ params: userTweetsParams, query: userTweetsQuery }), getUserTweets);
+router
+    .route("/:tweetId")
+    .patch(verifyJWT, validate({ params: tweetParams, body: tweetBody }), updateTweet)
+    .delete(verifyJWT, validate({ params: tweetParams }), deleteTweet);
 
-export default router
\ No newline at end of file
+export default router
@@ -0,0 +1,33 @@
+import { Router } from 'express';
+import {
+    appendUploadChunk,
+    cancelUpload,
+    finalizeVideoUpload,
+    getUploadStatus,
+    initUpload,
+} from "../controllers/upload.controller.js"
+import {verifyJWT, requireVerifiedEmail} from "../middlewares/auth.middleware.js"
+import {upload} from "../middlewares/multer.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {finalizeUploadBody, initUploadBody, uploadParams} from "../validators/upload.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").post(requireVerifiedEmail, rateLimit("upload"), validate({ body: initUploadBody }), initUpload);
+
+router
+    .route("/:uploadId")
+    .get(validate({ params: uploadParams }), getUploadStatus)
+    .patch(validate({ params: uploadParams }), appendUploadChunk)
+    .delete(validate({ params: uploadParams }), cancelUpload);
+
+router.route("/:uploadId/finalize").post(
+    requireVerifiedEmail,
+    upload.single("thumbnail"),
+    validate({ params: uploadParams, body: finalizeUploadBody }),
+    finalizeVideoUpload
+);
+
+export default router
@@ -5,20 +5,45 @@ import {
     registerUser, 
     refreshAccessToken, 
     changeCurrentPassword, 
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword,
     getCurrentUser, 
     updateUserAvatar, 
     updateUserCoverImage, 
     getUserChannelProfile, 
     getWatchHistory, 
-    updateAccountDetails
+    updateAccountDetails,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    getActiveSessions,
+    revokeUserSession,
+    revokeAllUserSessions
 } from "../controllers/user.controller.js";
 import {upload} from "../middlewares/multer.middleware.js"
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWT, optionalAuth } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+    changePasswordBody,
+    forgotPasswordBody,
+    historyVideoParams,
+    loginBody,
+    registerBody,
+    resetPasswordBody,
+    sessionParams,
+    tokenBody,
+    updateAccountBody,
+    usernameParams,
+    watchHistoryQuery
+} from "../validators/user.validator.js";
 
 
 const router = Router()
 
 router.route("/register").post(
+    rateLimit("register"),
     upload.fields([
         {
             name: "avatar",
@@ -29,22 +54,34 @@ router.route("/register").post(
             maxCount: 1
         }
     ]),
+    validate({ body: registerBody }),
     registerUser
     )
 
-router.route("/login").post(loginUser)
+router.route("/login").post(rateLimit("login"), validate({ body: loginBody }), loginUser)
+router.route("/verify-email").post(rateLimit("accountEmail"), validate({ body: tokenBody }), verifyEmail)
+router.route("/forgot-password").post(rateLimit("accountEmail"), validate({ body: forgotPasswordBody }), forgotPassword)
+router.route("/reset-password").post(rateLimit("accountEmail"), validate({ body: resetPasswordBody }), resetPassword)
 
 //secured routes
 router.route("/logout").post(verifyJWT,  logoutUser)
-router.route("/refresh-token").post(refreshAccessToken)
-router.route("/change-password").post(verifyJWT, changeCurrentPassword)
+router.route("/refresh-token").post(rateLimit("refreshToken"), refreshAccessToken)
+router.route("/change-password").post(verifyJWT, validate({ body: changePasswordBody }), changeCurrentPassword)
+router.route("/verify-email/request").post(verifyJWT, rateLimit("accountEmail"), requestEmailVerification)
 router.route("/current-user").get(verifyJWT, getCurrentUser)
-router.route("/update-account").patch(verifyJWT, updateAccountDetails)
+router.route("/update-account").patch(verifyJWT, validate({ body: updateAccountBody }), updateAccountDetails)
 
 router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
 router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
 
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/c/:username").get(optionalAuth, validate({ params: usernameParams }), getUserChannelProfile)
+router
+    .route("/history")
+    .get(verifyJWT, validate({ query: watchHistoryQuery }), getWatchHistory)
+    .delete(verifyJWT, clearWatchHistory)
+router.route("/history/:videoId").delete(verifyJWT, validate({ params: historyVideoParams }), removeFromWatchHistory)
+
+router.route("/sessions").get(verifyJWT, getActiveSessions).delete(verifyJWT, revokeAllUserSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, validate({ params: sessionParams }), revokeUserSession)
 
 export default router
\ No newline at end of file
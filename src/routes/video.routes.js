@@ -2,21 +2,41 @@ import { Router } from 'express';
 import {
     deleteVideo,
     getAllVideos,
+    getHlsMasterPlaylist,
+    getHlsRenditionPlaylist,
     getVideoById,
+    getVideoProcessingStatus,
     publishAVideo,
+    recordVideoView,
+    streamVideo,
     togglePublishStatus,
     updateVideo,
+    updateVideoVisibility,
 } from "../controllers/video.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyJWT, optionalAuth, requireVerifiedEmail} from "../middlewares/auth.middleware.js"
 import {upload} from "../middlewares/multer.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    getAllVideosQuery,
+    publishVideoBody,
+    recordViewBody,
+    renditionParams,
+    updateVideoBody,
+    updateVisibilityBody,
+    videoIdParams,
+} from "../validators/video.validator.js"
 
 const router = Router();
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
+// watching is open to everyone, anything that changes a video needs a login
 router
     .route("/")
-    .get(getAllVideos)
+    .get(optionalAuth, validate({ query: getAllVideosQuery }), getAllVideos)
     .post(
+        verifyJWT,
+        requireVerifiedEmail,
+        rateLimit("upload"),
         upload.fields([
             {
                 name: "videoFile",
@@ -28,15 +48,28 @@ router
             },
             
         ]),
+        validate({ body: publishVideoBody }),
         publishAVideo
     );
 
 router
     .route("/:videoId")
-    .get(getVideoById)
-    .delete(deleteVideo)
-    .patch(upload.single("thumbnail"), updateVideo);
+    .get(optionalAuth, validate({ params: videoIdParams }), getVideoById)
+    .delete(verifyJWT, validate({ params: videoIdParams }), deleteVideo)
+    .patch(
+        verifyJWT,
+        upload.single("thumbnail"),
+        validate({ params: videoIdParams, body: updateVideoBody }),
+        updateVideo
+    );
+
+router.route("/:videoId/visibility").patch(verifyJWT, validate({ params: videoIdParams, body: updateVisibilityBody }), updateVideoVisibility);
+router.route("/:videoId/processing").get(verifyJWT, validate({ params: videoIdParams }), getVideoProcessingStatus);
+router.route("/:videoId/stream").get(optionalAuth, validate({ params: videoIdParams }), streamVideo);
+router.route("/:videoId/views").post(optionalAuth, validate({ params: videoIdParams, body: recordViewBody }), recordVideoView);
+router.route("/:videoId/hls/master.m3u8").get(optionalAuth, validate({ params: videoIdParams }), getHlsMasterPlaylist);
+router.route("/:videoId/hls/:rendition.m3u8").get(optionalAuth, validate({ params: renditionParams }), getHlsRenditionPlaylist);
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+router.route("/toggle/publish/:videoId").patch(verifyJWT, validate({ params: videoIdParams }), togglePublishStatus);
 
-export default router
\ No newline at end of file
+export default router
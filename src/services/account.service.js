@@ -0,0 +1,81 @@
+import crypto from "crypto"
+import { User } from "../models/user.model.js"
+import { UserToken } from "../models/userToken.model.js"
+import { sendMail } from "../mailer/index.js"
+import { verificationEmail, passwordResetEmail } from "../mailer/templates.js"
+
+// Email verification and password reset tokens
+
+const TOKEN_TTL_MS = {
+    email_verification: 24 * 60 * 60 * 1000,
+    password_reset: 60 * 60 * 1000
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const getAppUrl = () => (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "")
+
+// only the newest token of a type is usable, issuing one drops the older ones
+const issueUserToken = async (userId, type) => {
+    const token = crypto.randomBytes(32).toString("base64url")
+
+    await UserToken.deleteMany({ user: userId, type, usedAt: null })
+    await UserToken.create({
+        user: userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+    })
+
+    return token
+}
+
+// marks the token used and returns the user id, or null when it is unknown, used or expired
+const consumeUserToken = async (token, type) => {
+    if (!token || typeof token !== "string") return null
+
+    const record = await UserToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            type,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } }
+    )
+
+    return record?.user || null
+}
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueUserToken(user._id, "email_verification")
+    const link = `${getAppUrl()}/verify-email?token=${token}`
+
+    await sendMail({ to: user.email, ...verificationEmail({ fullName: user.fullName, link }) })
+}
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueUserToken(user._id, "password_reset")
+    const link = `${getAppUrl()}/reset-password?token=${token}`
+
+    await sendMail({ to: user.email, ...passwordResetEmail({ fullName: user.fullName, link }) })
+}
+
+// Accounts from before email verification never had the chance to verify and
+// would lose access to requireVerifiedEmail routes, they count as verified.
+// New accounts always store the flag, so only those old ones lack it.
+const grandfatherEmailVerification = async () => {
+    const { modifiedCount } = await User.updateMany(
+        { isEmailVerified: { $exists: false } },
+        [{ $set: { isEmailVerified: true, emailVerifiedAt: "$createdAt" } }]
+    )
+    return modifiedCount
+}
+
+export {
+    grandfatherEmailVerification,
+    issueUserToken,
+    consumeUserToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+}
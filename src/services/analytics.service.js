@@ -0,0 +1,329 @@
+import { ChannelDailyStat, CHANNEL_METRICS } from "../models/channelDailyStat.model.js"
+import { VideoDailyStat, VIDEO_METRICS } from "../models/videoDailyStat.model.js"
+import { Video } from "../models/video.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { Reaction } from "../models/reaction.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Migration } from "../models/migration.model.js"
+
+// Channel analytics
+// Metrics are rolled up per UTC day while they happen: views, likes and
+// comments into a per video and a per channel document, subscriptions into
+// the per channel one. The dashboard only ever reads the rollups.
+// Recording never throws, analytics must not fail the request that caused them.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const BACKFILL_BATCH_SIZE = 500
+const BACKFILL_MIGRATION = "analytics.daily_stats_backfill"
+
+const startOfDay = (date = new Date()) => {
+    const day = new Date(date)
+    day.setUTCHours(0, 0, 0, 0)
+    return day
+}
+
+const toIncrement = (metrics, allowed) => {
+    const $inc = {}
+    for (const [metric, delta] of Object.entries(metrics)) {
+        if (delta && allowed.includes(metric)) $inc[metric] = delta
+    }
+    return Object.keys($inc).length ? $inc : null
+}
+
+// metrics is { [metric]: delta }
+const recordChannelMetrics = async (channel, metrics, at = new Date()) => {
+    const $inc = toIncrement(metrics, CHANNEL_METRICS)
+    if (!$inc) return
+
+    try {
+        await ChannelDailyStat.updateOne(
+            { channel, day: startOfDay(at) },
+            { $inc },
+            { upsert: true }
+        )
+    } catch (error) {
+        console.log("Failed to record channel metrics ", error)
+    }
+}
+
+// video is a document with owner or just its id
+const recordVideoMetrics = async (video, metrics, at = new Date()) => {
+    const $inc = toIncrement(metrics, VIDEO_METRICS)
+    if (!$inc) return
+
+    try {
+        const owner = video.owner ?? (await Video.findById(video).select("owner").lean())?.owner
+        if (!owner) return
+
+        const videoId = video._id ?? video
+        await Promise.all([
+            VideoDailyStat.updateOne(
+                { video: videoId, day: startOfDay(at) },
+                { $inc, $setOnInsert: { channel: owner } },
+                { upsert: true }
+            ),
+            recordChannelMetrics(owner, $inc, at)
+        ])
+    } catch (error) {
+        console.log("Failed to record video metrics ", error)
+    }
+}
+
+const deleteVideoStats = (videoId) => VideoDailyStat.deleteMany({ video: videoId })
+
+// live count plus whatever the backfill added to the day, see backfillDailyStats
+const metricValue = (row, metric) => (row?.[metric] ?? 0) + (row?.backfilled?.[metric] ?? 0)
+
+const metricExpression = (metric) => ({
+    $add: [{ $ifNull: [`$${metric}`, 0] }, { $ifNull: [`$backfilled.${metric}`, 0] }]
+})
+
+// summed metrics for every day of the range, days without activity are zero
+const fillDays = (rows, { from, to }, metrics) => {
+    const byDay = new Map(rows.map((row) => [row.day.getTime(), row]))
+    const series = []
+
+    for (let time = startOfDay(from).getTime(); time <= startOfDay(to).getTime(); time += DAY_MS) {
+        const row = byDay.get(time)
+        series.push({
+            date: new Date(time).toISOString().slice(0, 10),
+            ...Object.fromEntries(metrics.map((metric) => [metric, metricValue(row, metric)]))
+        })
+    }
+    return series
+}
+
+const sumSeries = (series, metrics) => Object.fromEntries(
+    metrics.map((metric) => [metric, series.reduce((total, day) => total + day[metric], 0)])
+)
+
+const dayRange = ({ from, to }) => ({ $gte: startOfDay(from), $lte: startOfDay(to) })
+
+const getChannelTimeSeries = async ({ channel, from, to }) => {
+    const rows = await ChannelDailyStat.find({ channel, day: dayRange({ from, to }) })
+    .sort({ day: 1 })
+    .lean()
+
+    const series = fillDays(rows, { from, to }, CHANNEL_METRICS)
+    return { series, totals: sumSeries(series, CHANNEL_METRICS) }
+}
+
+const getVideoTimeSeries = async ({ video, from, to }) => {
+    const rows = await VideoDailyStat.find({ video, day: dayRange({ from, to }) })
+    .sort({ day: 1 })
+    .lean()
+
+    const series = fillDays(rows, { from, to }, VIDEO_METRICS)
+    return { series, totals: sumSeries(series, VIDEO_METRICS) }
+}
+
+const getTopVideos = ({ channel, from, to, sortBy = "views", limit = 10 }) => VideoDailyStat.aggregate([
+    {
+        $match: { channel, day: dayRange({ from, to }) }
+    },
+    {
+        $group: {
+            _id: "$video",
+            views: { $sum: metricExpression("views") },
+            likes: { $sum: metricExpression("likes") },
+            comments: { $sum: metricExpression("comments") }
+        }
+    },
+    {
+        $sort: { [sortBy]: -1, _id: 1 }
+    },
+    {
+        $limit: limit
+    },
+    {
+        $lookup: {
+            from: "videos",
+            localField: "_id",
+            foreignField: "_id",
+            as: "video",
+            pipeline: [
+                {
+                    $project: {
+                        title: 1,
+                        thumbnail: 1,
+                        duration: 1,
+                        visibility: 1,
+                        publishedAt: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $unwind: "$video"
+    },
+    {
+        $project: {
+            _id: 0,
+            video: 1,
+            views: 1,
+            likes: 1,
+            comments: 1
+        }
+    }
+])
+
+// Writes grouped rows as upserts in batches, row._id holds the filter fields.
+// rows can be an aggregation cursor or any iterable.
+const upsertRows = async (Model, rows, toUpdate) => {
+    let operations = []
+    const flush = async () => {
+        if (!operations.length) return
+        await Model.bulkWrite(operations, { ordered: false })
+        operations = []
+    }
+
+    for await (const row of rows) {
+        operations.push({
+            updateOne: {
+                filter: { ...row._id },
+                update: toUpdate(row),
+                upsert: true
+            }
+        })
+        if (operations.length >= BACKFILL_BATCH_SIZE) await flush()
+    }
+    await flush()
+}
+
+const dailyVideoGroup = (dateField, countField) => [
+    {
+        $lookup: {
+            from: "videos",
+            localField: countField,
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [{ $project: { owner: 1 } }]
+        }
+    },
+    {
+        $unwind: "$owner"
+    },
+    {
+        $group: {
+            _id: {
+                video: `$${countField}`,
+                channel: "$owner.owner",
+                day: { $dateTrunc: { date: `$${dateField}`, unit: "day" } }
+            },
+            count: { $sum: 1 }
+        }
+    }
+]
+
+// Live counting started with the first rollup document, rollups have no
+// timestamps but their _id does. Without any rollups it starts now.
+const getLiveCountingStart = async () => {
+    const [channelStat, videoStat] = await Promise.all([
+        ChannelDailyStat.findOne().sort({ _id: 1 }).select("_id").lean(),
+        VideoDailyStat.findOne().sort({ _id: 1 }).select("_id").lean()
+    ])
+
+    const times = [channelStat, videoStat]
+    .filter(Boolean)
+    .map(({ _id }) => _id.getTimestamp().getTime())
+
+    return new Date(Math.min(Date.now(), ...times))
+}
+
+// Days before the cutover day hold nothing but backfilled data, the metric is
+// set directly. The cutover day already has live increments, the raw rows from
+// before the cutover go into backfilled instead. Both are $set, so a backfill
+// retried after a crash writes the same numbers again.
+const backfillUpdate = (metric, cutoverDay) => ({ _id, count, channel }) => {
+    const update = _id.day < cutoverDay
+        ? { $set: { [metric]: count } }
+        : { $set: { [`backfilled.${metric}`]: count } }
+    return channel ? { ...update, $setOnInsert: { channel } } : update
+}
+
+// One time fill of the rollups from the raw collections, for data created
+// before the rollups existed. Only rows from before the cutover (the moment
+// live counting started) are read, later ones were counted live. A marker in
+// the migrations collection records the cutover and the completion. Views and
+// unsubscribes were never stored per day and start at zero.
+const backfillDailyStats = async () => {
+    const marker = await Migration.findOneAndUpdate(
+        { name: BACKFILL_MIGRATION },
+        { $setOnInsert: { cutoverAt: await getLiveCountingStart() } },
+        { upsert: true, new: true }
+    )
+    if (marker.completedAt) return false
+
+    const { cutoverAt } = marker
+    const cutoverDay = startOfDay(cutoverAt)
+
+    await upsertRows(
+        ChannelDailyStat,
+        Subscription.aggregate([
+            {
+                $match: { createdAt: { $lt: cutoverAt } }
+            },
+            {
+                $group: {
+                    _id: {
+                        channel: "$channel",
+                        day: { $dateTrunc: { date: "$createdAt", unit: "day" } }
+                    },
+                    count: { $sum: 1 }
+                }
+            }
+        ]).cursor(),
+        backfillUpdate("subscribers", cutoverDay)
+    )
+
+    const sources = [
+        [Reaction.aggregate([
+            { $match: { targetType: "Video", type: "like", reactedAt: { $lt: cutoverAt } } },
+            ...dailyVideoGroup("reactedAt", "targetId")
+        ]), "likes"],
+        [Comment.aggregate([
+            { $match: { isDeleted: { $ne: true }, createdAt: { $lt: cutoverAt } } },
+            ...dailyVideoGroup("createdAt", "video")
+        ]), "comments"]
+    ]
+
+    for (const [pipeline, metric] of sources) {
+        const rows = await pipeline.exec()
+
+        await upsertRows(
+            VideoDailyStat,
+            rows.map(({ _id, count }) => ({ _id: { video: _id.video, day: _id.day }, channel: _id.channel, count })),
+            backfillUpdate(metric, cutoverDay)
+        )
+
+        // several videos of a channel share the same day
+        const perChannel = new Map()
+        for (const { _id, count } of rows) {
+            const key = `${_id.channel}:${_id.day.getTime()}`
+            const row = perChannel.get(key) ?? { _id: { channel: _id.channel, day: _id.day }, count: 0 }
+            row.count += count
+            perChannel.set(key, row)
+        }
+        await upsertRows(
+            ChannelDailyStat,
+            perChannel.values(),
+            backfillUpdate(metric, cutoverDay)
+        )
+    }
+
+    await Migration.updateOne({ _id: marker._id }, { $set: { completedAt: new Date() } })
+
+    return true
+}
+
+export {
+    startOfDay,
+    recordChannelMetrics,
+    recordVideoMetrics,
+    deleteVideoStats,
+    getChannelTimeSeries,
+    getVideoTimeSeries,
+    getTopVideos,
+    backfillDailyStats
+}
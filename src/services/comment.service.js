@@ -0,0 +1,43 @@
+import { Comment } from "../models/comment.model.js"
+import { Video } from "../models/video.model.js"
+import { deleteReactions } from "./reaction.service.js"
+
+export const DELETED_COMMENT_TEXT = "[deleted]"
+
+// Soft delete: the text and author go away but the comment stays as a
+// "[deleted]" placeholder so its replies keep their thread. Deleted replies
+// stop counting towards their parent's replyCount.
+// Returns null when the comment does not exist or is already deleted.
+const softDeleteComment = async (commentId) => {
+    const comment = await Comment.findOneAndUpdate(
+        { _id: commentId, isDeleted: { $ne: true } },
+        {
+            $set: {
+                content: DELETED_COMMENT_TEXT,
+                isDeleted: true,
+                deletedAt: new Date()
+            }
+        },
+        { new: true }
+    )
+
+    if (!comment) return null
+
+    await Promise.all([
+        deleteReactions("Comment", comment._id),
+        comment.parent && Comment.updateOne(
+            { _id: comment.parent },
+            { $inc: { replyCount: -1 } }
+        ),
+        Video.updateOne(
+            { _id: comment.video, pinnedComment: comment._id },
+            { $unset: { pinnedComment: 1 } }
+        )
+    ])
+
+    return comment
+}
+
+export {
+    softDeleteComment
+}
@@ -0,0 +1,126 @@
+import { Video } from "../models/video.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { User } from "../models/user.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { encodeCursor, decodeCursor, cursorMatch } from "../utils/cursor.js"
+import { listedVideoMatch } from "./video.service.js"
+
+// Subscription feed
+// Videos and tweets are read with one keyset query each. Both are served by an
+// (owner, date) index, so $in over hundreds of channels merges index ranges
+// instead of sorting whole collections. Each side fetches limit + 1 rows and
+// the two lists are merged here.
+
+const FEED_CURSOR = "feed"
+const MAX_UNREAD_COUNT = 100
+
+const OWNER_FIELDS = "username fullName avatar"
+
+const SOURCES = [
+    {
+        type: "video",
+        model: Video,
+        dateField: "publishedAt",
+        match: () => ({ ...listedVideoMatch(), publishedAt: { $ne: null } }),
+        select: "title description thumbnail duration views owner publishedAt reactionCounts"
+    },
+    {
+        type: "tweet",
+        model: Tweet,
+        dateField: "createdAt",
+        match: () => ({}),
+        select: "content owner createdAt reactionCounts"
+    }
+]
+
+const getSubscribedChannelIds = (userId) => Subscription.distinct("channel", { subscriber: userId })
+
+const fetchSource = async (source, channelIds, { after, limit }) => {
+    const docs = await source.model.find({
+        owner: { $in: channelIds },
+        ...source.match(),
+        ...(after ? cursorMatch(source.dateField, -1, after) : {})
+    })
+    .sort({ [source.dateField]: -1, _id: -1 })
+    .limit(limit)
+    .select(source.select)
+    .lean()
+
+    return docs.map((doc) => ({ type: source.type, at: doc[source.dateField], doc }))
+}
+
+// newest first, _id breaks ties the same way cursorMatch does
+const compareItems = (a, b) => b.at - a.at || (a.doc._id.toString() < b.doc._id.toString() ? 1 : -1)
+
+const hydrateOwners = async (items) => {
+    const ownerIds = [...new Set(items.map(({ doc }) => doc.owner.toString()))]
+    const owners = await User.find({ _id: { $in: ownerIds } }).select(OWNER_FIELDS).lean()
+    const ownersById = new Map(owners.map((owner) => [owner._id.toString(), owner]))
+
+    return items.map(({ type, at, doc }) => ({
+        type,
+        at,
+        [type]: { ...doc, owner: ownersById.get(doc.owner.toString()) ?? null }
+    }))
+}
+
+const getFeed = async ({ userId, cursor, limit }) => {
+    const after = cursor ? decodeCursor(cursor) : null
+    if (after && after.sortBy !== FEED_CURSOR) {
+        throw new ApiError(400, "Invalid cursor")
+    }
+
+    const channelIds = await getSubscribedChannelIds(userId)
+    if (!channelIds.length) {
+        return { items: [], nextCursor: null, hasNextPage: false, limit }
+    }
+
+    const rows = (await Promise.all(
+        SOURCES.map((source) => fetchSource(source, channelIds, { after, limit: limit + 1 }))
+    ))
+    .flat()
+    .sort(compareItems)
+
+    const hasNextPage = rows.length > limit
+    const page = rows.slice(0, limit)
+    const last = page[page.length - 1]
+
+    return {
+        items: await hydrateOwners(page),
+        nextCursor: hasNextPage
+            ? encodeCursor({ sortBy: FEED_CURSOR, sortType: "desc", value: last.at, id: last.doc._id })
+            : null,
+        hasNextPage,
+        limit
+    }
+}
+
+// items published since the given date, capped at MAX_UNREAD_COUNT
+const countUnread = async ({ userId, since }) => {
+    const channelIds = await getSubscribedChannelIds(userId)
+    if (!channelIds.length) return 0
+
+    const counts = await Promise.all(SOURCES.map((source) => source.model.countDocuments(
+        {
+            owner: { $in: channelIds },
+            ...source.match(),
+            ...(since ? { [source.dateField]: { $gt: since } } : {})
+        },
+        { limit: MAX_UNREAD_COUNT }
+    )))
+
+    return Math.min(counts.reduce((sum, count) => sum + count, 0), MAX_UNREAD_COUNT)
+}
+
+const markFeedSeen = (userId, seenAt = new Date()) => User.updateOne(
+    { _id: userId },
+    { $set: { feedSeenAt: seenAt } }
+)
+
+export {
+    MAX_UNREAD_COUNT,
+    getFeed,
+    countUnread,
+    markFeedSeen
+}
@@ -0,0 +1,77 @@
+import path from "path"
+import crypto from "crypto"
+import sharp from "sharp"
+import { ApiError } from "../utils/ApiError.js"
+import { TEMP_DIR, removeTempFiles } from "./tempFile.service.js"
+import { uploadMedia, releaseMedia } from "./media.service.js"
+import { IMAGE_PRESETS } from "../models/image.schema.js"
+
+// Image normalization
+// Uploaded images are turned into a fixed set of WebP variants per kind:
+// auto-oriented from their EXIF orientation, cropped to the kind's aspect ratio
+// and stripped of all metadata (sharp drops EXIF, GPS and the like unless asked
+// to keep it). The source file is only read, callers clean it up.
+
+const WEBP_QUALITY = 82
+
+// every stored file of an image, variants come as a Map on documents and as an object on lean results
+const imageAssets = (image) => {
+    if (!image) return []
+    const variants = image.variants instanceof Map ? [...image.variants.values()] : Object.values(image.variants || {})
+    return [image, ...variants]
+}
+
+const renderVariant = async (localFilePath, [width, height]) => {
+    const outputPath = path.join(TEMP_DIR, `${crypto.randomUUID()}-${width}x${height}.webp`)
+
+    await sharp(localFilePath)
+    .rotate()
+    .resize(width, height, { fit: "cover", position: "attention" })
+    .webp({ quality: WEBP_QUALITY })
+    .toFile(outputPath)
+
+    return outputPath
+}
+
+// Returns the image with all variants uploaded, null when the storage failed
+// (like uploadMedia). Throws 400 when the file can't be decoded as an image.
+const uploadImage = async (localFilePath, kind, { owner } = {}) => {
+    if (!localFilePath) return null
+
+    const { folder, variants } = IMAGE_PRESETS[kind]
+    const entries = Object.entries(variants)
+    const rendered = []
+
+    try {
+        for (const [, size] of entries) {
+            rendered.push(await renderVariant(localFilePath, size))
+        }
+    } catch (error) {
+        await removeTempFiles(rendered)
+        throw new ApiError(400, `${kind} could not be processed as an image`)
+    }
+
+    const uploaded = {}
+    for (const [index, [name, [width, height]]] of entries.entries()) {
+        const asset = await uploadMedia(rendered[index], { folder, resourceType: "image", owner })
+
+        if (!asset) {
+            // uploadMedia consumed this file, the ones not uploaded yet are still here
+            await removeTempFiles(rendered.slice(index + 1))
+            await releaseMedia(Object.values(uploaded), "orphaned")
+            return null
+        }
+        uploaded[name] = { ...asset, width, height }
+    }
+
+    const largest = uploaded[entries[entries.length - 1][0]]
+    return { ...largest, variants: uploaded }
+}
+
+const releaseImage = (image, reason) => releaseMedia(imageAssets(image), reason)
+
+export {
+    imageAssets,
+    uploadImage,
+    releaseImage
+}
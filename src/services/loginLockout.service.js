@@ -0,0 +1,58 @@
+import { getCounter, incrementCounter, resetCounter, setCounter, tooManyRequests } from "../rateLimit/index.js"
+
+// Progressive lockout of an account after repeated failed logins, on top of the
+// per ip "login" rate limit, so guessing the password of one account from many
+// addresses doesn't work either. From the LOCKOUT_THRESHOLD-th failure on every
+// failure locks the account, twice as long as the one before. A successful
+// login forgets the failures.
+
+const LOCKOUT_THRESHOLD = 5
+const LOCKOUT_BASE_MS = 60 * 1000
+const LOCKOUT_MAX_MS = 60 * 60 * 1000
+// failures older than this don't count any more
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000
+
+// known accounts are keyed by id, so the email and the username share one lock
+const accountKey = ({ user, email, username }) => user
+    ? `user:${user._id}`
+    : `login:${(email || username || "").toLowerCase()}`
+
+const lockoutDuration = (failures) => Math.min(
+    LOCKOUT_BASE_MS * 2 ** (failures - LOCKOUT_THRESHOLD),
+    LOCKOUT_MAX_MS
+)
+
+// throws 429 while the account is locked
+const assertLoginAllowed = async (account) => {
+    const lock = await getCounter(`lockout:${accountKey(account)}`)
+
+    if (lock) {
+        throw tooManyRequests("Too many failed login attempts, please try again later", lock.resetAt)
+    }
+}
+
+const recordFailedLogin = async (account) => {
+    const key = accountKey(account)
+    const { count } = await incrementCounter(`login-failures:${key}`, FAILURE_WINDOW_MS)
+
+    if (count >= LOCKOUT_THRESHOLD) {
+        await setCounter(`lockout:${key}`, {
+            count,
+            resetAt: new Date(Date.now() + lockoutDuration(count))
+        })
+    }
+}
+
+const clearFailedLogins = async (account) => {
+    const key = accountKey(account)
+    await Promise.all([
+        resetCounter(`login-failures:${key}`),
+        resetCounter(`lockout:${key}`)
+    ])
+}
+
+export {
+    assertLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins
+}
@@ -0,0 +1,303 @@
+import path from "path"
+import { MediaAsset } from "../models/mediaAsset.model.js"
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { IMAGE_PRESETS } from "../models/image.schema.js"
+import { uploadFile, deleteFile } from "../storage/index.js"
+
+// Media lifecycle
+// - uploadMedia uploads a file and records it in the MediaAsset collection
+// - releaseMedia queues a file for deletion once no document points to it anymore
+// - processDeletionQueue retries queued deletions with exponential backoff
+// - reconcileOrphanedMedia finds recorded files that no document references
+
+const MAX_DELETE_ATTEMPTS = 8
+const RETRY_BASE_DELAY_MS = 60 * 1000
+
+// an image field and each of its size variants
+const imagePaths = (field) => [
+    field,
+    ...Object.keys(IMAGE_PRESETS[field].variants).map((name) => `${field}.variants.${name}`)
+]
+
+// where asset references live, checked by the reconciliation
+const ASSET_REFERENCES = [
+    { model: User, paths: [...imagePaths("avatar"), ...imagePaths("coverImage")] },
+    { model: Video, paths: ["videoFile", ...imagePaths("thumbnail"), "renditions.segments.asset"] }
+]
+
+const trackMedia = async (asset, { owner } = {}) => {
+    if (!asset?.key) return null
+
+    return MediaAsset.findOneAndUpdate(
+        { provider: asset.provider, key: asset.key },
+        {
+            $setOnInsert: {
+                url: asset.url,
+                resourceType: asset.resourceType,
+                bytes: asset.bytes,
+                owner,
+                status: "active"
+            }
+        },
+        { upsert: true, new: true }
+    )
+}
+
+const uploadMedia = async (localFilePath, { folder, resourceType, owner } = {}) => {
+    const asset = await uploadFile(localFilePath, { folder, resourceType })
+    if (asset) {
+        await trackMedia(asset, { owner })
+    }
+    return asset
+}
+
+const attemptDelete = async (record) => {
+    try {
+        const removed = await deleteFile(record)
+        if (!removed) {
+            throw new Error("storage provider did not confirm the deletion")
+        }
+
+        record.status = "deleted"
+        record.deletedAt = new Date()
+        record.nextAttemptAt = undefined
+        record.lastError = undefined
+    } catch (error) {
+        record.attempts += 1
+        record.lastError = error?.message || String(error)
+
+        if (record.attempts >= MAX_DELETE_ATTEMPTS) {
+            record.status = "failed"
+            record.nextAttemptAt = undefined
+        } else {
+            record.nextAttemptAt = new Date(
+                Date.now() + RETRY_BASE_DELAY_MS * 2 ** (record.attempts - 1)
+            )
+        }
+    }
+
+    await record.save()
+    return record.status === "deleted"
+}
+
+// Marks assets as no longer needed and tries to delete them right away.
+// Failures stay in the queue for processDeletionQueue, so callers never have to
+// wait for or handle storage errors.
+const releaseMedia = async (assets, reason = "superseded") => {
+    const list = (Array.isArray(assets) ? assets : [assets]).filter((asset) => asset?.key)
+
+    for (const asset of list) {
+        try {
+            const record = await MediaAsset.findOneAndUpdate(
+                {
+                    provider: asset.provider,
+                    key: asset.key,
+                    status: { $in: ["active", "failed"] }
+                },
+                {
+                    $set: {
+                        status: "pending_delete",
+                        releaseReason: reason,
+                        nextAttemptAt: new Date(),
+                        attempts: 0
+                    },
+                    $setOnInsert: {
+                        url: asset.url,
+                        resourceType: asset.resourceType
+                    }
+                },
+                { upsert: true, new: true }
+            )
+
+            await attemptDelete(record)
+        } catch (error) {
+            // a duplicate key here means the asset is already queued or deleted
+            if (error?.code !== 11000) {
+                console.log("Failed to release media asset ", asset.key, error)
+            }
+        }
+    }
+}
+
+const processDeletionQueue = async ({ batchSize = 50 } = {}) => {
+    const due = await MediaAsset.find({
+        status: "pending_delete",
+        nextAttemptAt: { $lte: new Date() }
+    })
+    .sort({ nextAttemptAt: 1 })
+    .limit(batchSize)
+
+    let deleted = 0
+    for (const record of due) {
+        if (await attemptDelete(record)) deleted++
+    }
+
+    return { processed: due.length, deleted }
+}
+
+const isReferenced = async ({ provider, key }) => {
+    for (const { model, paths } of ASSET_REFERENCES) {
+        const exists = await model.exists({
+            $or: paths.map((path) => ({
+                [`${path}.provider`]: provider,
+                [`${path}.key`]: key
+            }))
+        })
+        if (exists) return true
+    }
+    return false
+}
+
+// Assets younger than gracePeriodMs are skipped, they may belong to a request
+// that uploaded the file but has not saved the document yet. Candidates are
+// paged by _id, so referenced assets don't keep newer orphans from being seen.
+const reconcileOrphanedMedia = async ({
+    gracePeriodMs = 24 * 60 * 60 * 1000,
+    batchSize = 500,
+    dryRun = false
+} = {}) => {
+    const createdBefore = new Date(Date.now() - gracePeriodMs)
+    const orphans = []
+    let scanned = 0
+    let lastId = null
+
+    for (;;) {
+        const candidates = await MediaAsset.find({
+            status: "active",
+            createdAt: { $lte: createdBefore },
+            ...(lastId ? { _id: { $gt: lastId } } : {})
+        })
+        .sort({ _id: 1 })
+        .limit(batchSize)
+
+        if (!candidates.length) break
+        scanned += candidates.length
+        lastId = candidates[candidates.length - 1]._id
+
+        const batchOrphans = []
+        for (const record of candidates) {
+            if (!(await isReferenced(record))) {
+                batchOrphans.push(record)
+            }
+        }
+
+        if (!dryRun && batchOrphans.length) {
+            await releaseMedia(batchOrphans, "orphaned")
+        }
+        orphans.push(...batchOrphans)
+
+        if (candidates.length < batchSize) break
+    }
+
+    return {
+        scanned,
+        orphans: orphans.map(({ provider, key, url }) => ({ provider, key, url }))
+    }
+}
+
+// fields that held a plain cloudinary url before they became asset references
+const LEGACY_URL_FIELDS = [
+    { model: User, fields: { avatar: "image", coverImage: "image" } },
+    { model: Video, fields: { videoFile: "video", thumbnail: "image" } }
+]
+
+// https://res.cloudinary.com/<cloud>/<type>/upload/v<version>/<public id>.<format>
+const legacyAsset = (url, resourceType) => {
+    let parts
+    try {
+        const { pathname } = new URL(url)
+        parts = (pathname.split("/upload/")[1] || path.posix.basename(pathname)).split("/")
+    } catch (error) {
+        return { provider: "cloudinary", key: url, url, resourceType }
+    }
+
+    const version = parts.findIndex((part) => /^v\d+$/.test(part))
+    const file = decodeURIComponent(parts.slice(version + 1).join("/"))
+    const format = path.posix.extname(file).slice(1).toLowerCase() || undefined
+
+    return {
+        provider: "cloudinary",
+        key: format ? file.slice(0, -(format.length + 1)) : file,
+        url,
+        resourceType,
+        format
+    }
+}
+
+// Wraps the urls of documents from before the asset references into an asset,
+// empty ones are dropped. Goes through the raw collections, mongoose can't
+// read those documents anymore. Safe to run on every start.
+const migrateLegacyAssetUrls = async ({ batchSize = 500 } = {}) => {
+    let migrated = 0
+
+    for (const { model, fields } of LEGACY_URL_FIELDS) {
+        for (const [field, resourceType] of Object.entries(fields)) {
+            const cursor = model.collection.find(
+                { [field]: { $type: "string" } },
+                { projection: { [field]: 1 } }
+            )
+
+            let operations = []
+            const flush = async () => {
+                if (!operations.length) return
+                await model.collection.bulkWrite(operations, { ordered: false })
+                migrated += operations.length
+                operations = []
+            }
+
+            for await (const doc of cursor) {
+                const url = doc[field].trim()
+                operations.push({
+                    updateOne: {
+                        filter: { _id: doc._id, [field]: doc[field] },
+                        update: url
+                            ? { $set: { [field]: legacyAsset(url, resourceType) } }
+                            : { $unset: { [field]: 1 } }
+                    }
+                })
+                if (operations.length >= batchSize) await flush()
+            }
+            await flush()
+        }
+    }
+
+    return migrated
+}
+
+const startMediaCleanupWorker = ({
+    queueIntervalMs = Number(process.env.MEDIA_CLEANUP_INTERVAL_MS) || 60 * 1000,
+    reconcileIntervalMs = Number(process.env.MEDIA_RECONCILE_INTERVAL_MS) || 24 * 60 * 60 * 1000
+} = {}) => {
+    const queueTimer = setInterval(() => {
+        processDeletionQueue().catch((error) => {
+            console.log("Media deletion queue failed ", error)
+        })
+    }, queueIntervalMs)
+
+    const reconcileTimer = setInterval(() => {
+        reconcileOrphanedMedia().catch((error) => {
+            console.log("Media reconciliation failed ", error)
+        })
+    }, reconcileIntervalMs)
+
+    // the timers should never keep the process alive on their own
+    queueTimer.unref()
+    reconcileTimer.unref()
+
+    return () => {
+        clearInterval(queueTimer)
+        clearInterval(reconcileTimer)
+    }
+}
+
+export {
+    ASSET_REFERENCES,
+    trackMedia,
+    uploadMedia,
+    releaseMedia,
+    processDeletionQueue,
+    reconcileOrphanedMedia,
+    migrateLegacyAssetUrls,
+    startMediaCleanupWorker
+}
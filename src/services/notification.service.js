@@ -0,0 +1,224 @@
+import { Notification } from "../models/notification.model.js"
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { enqueueJob } from "../jobs/queue.js"
+
+// Notifications
+// Created as a side effect of subscriptions, comments, reactions and new
+// videos. Creating one never throws, a failed notification must not fail the
+// request that caused it. Recipients who switched a type off in their
+// notificationPreferences don't get it.
+//
+// Realtime delivery is in-process: the SSE stream of notification.controller.js
+// registers a listener per connection and every notification created by this
+// process is pushed to the recipient's listeners.
+
+export const NOTIFICATION_FANOUT_JOB = "notification.fanout"
+
+const FANOUT_BATCH_SIZE = 500
+const ACTOR_FIELDS = "username fullName avatar"
+
+const TARGET_MODELS = { Video, Comment, Tweet }
+
+// userId -> Set of listeners
+const listeners = new Map()
+
+const subscribeToNotifications = (userId, listener) => {
+    const key = userId.toString()
+    if (!listeners.has(key)) listeners.set(key, new Set())
+    listeners.get(key).add(listener)
+
+    return () => {
+        listeners.get(key)?.delete(listener)
+        if (!listeners.get(key)?.size) listeners.delete(key)
+    }
+}
+
+const hasListeners = (userId) => listeners.has(userId.toString())
+
+const emit = async (notification) => {
+    if (!hasListeners(notification.recipient)) return
+
+    const payload = await Notification.populate(notification, { path: "actor", select: ACTOR_FIELDS })
+    for (const listener of listeners.get(notification.recipient.toString()) ?? []) {
+        listener(payload.toJSON ? payload.toJSON() : payload)
+    }
+}
+
+const wantsNotification = async (userId, type) => {
+    const user = await User.findById(userId).select("notificationPreferences status").lean()
+    return Boolean(user) && user.status !== "banned" && user.notificationPreferences?.[type] !== false
+}
+
+// dedupeKey turns repeated events into one notification that is marked unread again.
+// resolve, when given, looks up the fields that depend on the target and returns
+// them (null skips the notification), so its errors are handled here as well.
+const notify = async ({ resolve, ...fields }) => {
+    try {
+        const resolved = resolve ? await resolve() : {}
+        if (!resolved) return null
+
+        const { recipient, actor, type, targetType, targetId, video, dedupeKey } = { ...fields, ...resolved }
+        if (!recipient || recipient.toString() === actor?.toString()) return null
+        if (!(await wantsNotification(recipient, type))) return null
+
+        let notification
+        if (dedupeKey) {
+            const now = new Date()
+            notification = await Notification.findOneAndUpdate(
+                { recipient, dedupeKey },
+                {
+                    $set: { actor, type, targetType, targetId, video, readAt: null, createdAt: now, updatedAt: now }
+                },
+                { upsert: true, new: true, timestamps: false }
+            )
+        } else {
+            notification = await Notification.create({ recipient, actor, type, targetType, targetId, video })
+        }
+
+        await emit(notification)
+        return notification
+    } catch (error) {
+        // a concurrent upsert with the same dedupeKey won, which is fine
+        if (error?.code !== 11000) {
+            console.log("Failed to create notification ", error)
+        }
+        return null
+    }
+}
+
+const notifySubscription = ({ channel, subscriber }) => notify({
+    recipient: channel,
+    actor: subscriber,
+    type: "subscription",
+    dedupeKey: `subscription:${subscriber}`
+})
+
+// the video owner hears about every comment, the parent author about replies
+const notifyComment = async ({ comment, videoOwner, parentOwner }) => {
+    const base = {
+        actor: comment.owner,
+        targetType: "Comment",
+        targetId: comment._id,
+        video: comment.video
+    }
+
+    if (parentOwner) {
+        await notify({ ...base, recipient: parentOwner, type: "reply" })
+    }
+    if (videoOwner.toString() !== parentOwner?.toString()) {
+        await notify({ ...base, recipient: videoOwner, type: "comment" })
+    }
+}
+
+// dislikes stay anonymous
+const notifyReaction = async ({ targetType, targetId, actor, type }) => {
+    if (!type || type === "dislike") return null
+
+    return notify({
+        actor,
+        type: "reaction",
+        targetType,
+        targetId,
+        dedupeKey: `reaction:${targetType}:${targetId}:${actor}`,
+        resolve: async () => {
+            const target = await TARGET_MODELS[targetType].findById(targetId).select("owner video").lean()
+            return target && {
+                recipient: target.owner,
+                video: targetType === "Video" ? targetId : target.video
+            }
+        }
+    })
+}
+
+// Subscribers are notified through a job, a channel can have a lot of them.
+// Only public videos are announced.
+const notifyVideoPublished = async (video) => {
+    if (video.visibility !== "public") return null
+
+    try {
+        return await enqueueJob(NOTIFICATION_FANOUT_JOB, { videoId: video._id.toString() })
+    } catch (error) {
+        console.log("Failed to queue new video notifications ", error)
+        return null
+    }
+}
+
+// Runs in the job. Upserts by dedupeKey, so a retried job doesn't notify anyone twice.
+const fanOutNewVideo = async ({ videoId }) => {
+    const video = await Video.findById(videoId).select("owner visibility isPublished").lean()
+    if (!video?.isPublished || video.visibility !== "public") return { notified: 0 }
+
+    const dedupeKey = `new_video:${videoId}`
+    let notified = 0
+
+    const sendBatch = async (subscriberIds) => {
+        const recipients = await User.find({
+            _id: { $in: subscriberIds },
+            status: { $ne: "banned" },
+            "notificationPreferences.new_video": { $ne: false }
+        })
+        .select("_id")
+        .lean()
+
+        if (!recipients.length) return
+
+        const now = new Date()
+        await Notification.bulkWrite(
+            recipients.map(({ _id }) => ({
+                updateOne: {
+                    filter: { recipient: _id, dedupeKey },
+                    update: {
+                        $setOnInsert: {
+                            actor: video.owner,
+                            type: "new_video",
+                            targetType: "Video",
+                            targetId: video._id,
+                            video: video._id,
+                            readAt: null,
+                            createdAt: now,
+                            updatedAt: now
+                        }
+                    },
+                    upsert: true
+                }
+            })),
+            { ordered: false }
+        )
+        notified += recipients.length
+
+        const online = recipients.filter(({ _id }) => hasListeners(_id)).map(({ _id }) => _id)
+        if (online.length) {
+            const notifications = await Notification.find({ recipient: { $in: online }, dedupeKey })
+            await Promise.all(notifications.map(emit))
+        }
+    }
+
+    let batch = []
+    for await (const subscription of Subscription.find({ channel: video.owner }).select("subscriber").lean().cursor()) {
+        batch.push(subscription.subscriber)
+        if (batch.length >= FANOUT_BATCH_SIZE) {
+            await sendBatch(batch)
+            batch = []
+        }
+    }
+    if (batch.length) await sendBatch(batch)
+
+    return { notified }
+}
+
+const countUnreadNotifications = (userId) => Notification.countDocuments({ recipient: userId, readAt: null })
+
+export {
+    subscribeToNotifications,
+    notify,
+    notifySubscription,
+    notifyComment,
+    notifyReaction,
+    notifyVideoPublished,
+    fanOutNewVideo,
+    countUnreadNotifications
+}
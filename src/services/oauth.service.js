@@ -0,0 +1,277 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { User } from "../models/user.model.js"
+import { OAuthState } from "../models/oauthState.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import {
+    getProvider,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    fetchProfile
+} from "../oauth/index.js"
+import { TEMP_DIR, removeTempFiles } from "./tempFile.service.js"
+import { uploadImage, releaseImage } from "./image.service.js"
+import { getWatchLater } from "./playlist.service.js"
+
+// OAuth / OpenID Connect sign in
+// A sign in starts with a random state and a PKCE verifier, stored here (hashed)
+// and bound to the browser with a cookie. The callback consumes the state once,
+// trades the code for a token and resolves the provider account to a user:
+//   - the user it is linked to
+//   - otherwise an existing user with the same address, when both the provider
+//     and we have verified it
+//   - otherwise a new user without a password
+// Started by a logged in user, the flow links the provider to that user instead.
+
+export const OAUTH_STATE_TTL_MS = 10 * 60 * 1000
+
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024
+
+const hashState = (state) => crypto.createHash("sha256").update(state).digest("hex")
+
+const getAppUrl = () => (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "")
+
+// only pages of our own frontend, relative paths are resolved against APP_URL
+const resolveRedirect = (redirectTo) => {
+    if (!redirectTo) return undefined
+
+    const appUrl = new URL(getAppUrl())
+    let url
+    try {
+        url = new URL(redirectTo, appUrl)
+    } catch (error) {
+        url = null
+    }
+
+    if (!url || url.origin !== appUrl.origin) {
+        throw new ApiError(400, "redirectTo must point to the app")
+    }
+    return url.toString()
+}
+
+const startAuthorization = async ({ providerName, user, redirectTo }) => {
+    const provider = getProvider(providerName)
+
+    const state = crypto.randomBytes(32).toString("base64url")
+    const { codeVerifier, codeChallenge } = createPkcePair()
+
+    await OAuthState.create({
+        stateHash: hashState(state),
+        provider: provider.name,
+        codeVerifier,
+        user: user?._id,
+        redirectTo: resolveRedirect(redirectTo),
+        expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MS)
+    })
+
+    return {
+        state,
+        authorizationUrl: buildAuthorizationUrl(provider, { state, codeChallenge })
+    }
+}
+
+// single use, a replayed or expired state is rejected
+const consumeState = async (providerName, state) => {
+    const record = await OAuthState.findOneAndDelete({
+        stateHash: hashState(state),
+        provider: providerName,
+        expiresAt: { $gt: new Date() }
+    })
+
+    if (!record) {
+        throw new ApiError(400, "Sign in request is invalid or has expired")
+    }
+    return record
+}
+
+const accountEntry = (provider, profile) => ({
+    provider: provider.name,
+    subject: profile.subject,
+    email: profile.email,
+    linkedAt: new Date()
+})
+
+const findLinkedUser = (provider, subject) => User.findOne({
+    oauthAccounts: { $elemMatch: { provider: provider.name, subject } }
+})
+
+const linkProvider = async (userId, provider, profile) => {
+    const linked = await findLinkedUser(provider, profile.subject)
+
+    if (linked) {
+        if (linked._id.toString() !== userId.toString()) {
+            throw new ApiError(409, `This ${provider.name} account is linked to another user`)
+        }
+        return linked
+    }
+
+    try {
+        const user = await User.findOneAndUpdate(
+            { _id: userId, "oauthAccounts.provider": { $ne: provider.name } },
+            { $push: { oauthAccounts: accountEntry(provider, profile) } },
+            { new: true }
+        )
+
+        if (!user) {
+            throw new ApiError(409, `Another ${provider.name} account is already linked`)
+        }
+        return user
+    } catch (error) {
+        if (error?.code === 11000) {
+            throw new ApiError(409, `This ${provider.name} account is linked to another user`)
+        }
+        throw error
+    }
+}
+
+// lowercased, cut to the username rules of user.validator.js and made unique with a suffix
+const uniqueUsername = async (base) => {
+    const cleaned = (base || "").toLowerCase().replace(/[^a-z0-9_.]/g, "").slice(0, 24)
+    const candidate = cleaned.length >= 3 ? cleaned : `user${cleaned}`
+
+    if (!(await User.exists({ username: candidate }))) {
+        return candidate
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const suffixed = `${candidate}${crypto.randomInt(1000, 1000000)}`
+        if (!(await User.exists({ username: suffixed }))) {
+            return suffixed
+        }
+    }
+    throw new ApiError(409, "Could not find a free username, please register instead")
+}
+
+// the provider's picture becomes the avatar when it can be fetched, otherwise there is none
+const importAvatar = async (pictureUrl) => {
+    if (!pictureUrl?.startsWith("https://")) return undefined
+
+    const localPath = path.join(TEMP_DIR, `${crypto.randomUUID()}-oauth-avatar`)
+    try {
+        const response = await fetch(pictureUrl, { signal: AbortSignal.timeout(10 * 1000) })
+        const length = Number(response.headers.get("content-length"))
+        if (!response.ok || length > MAX_AVATAR_BYTES) return undefined
+
+        const buffer = Buffer.from(await response.arrayBuffer())
+        if (buffer.length > MAX_AVATAR_BYTES) return undefined
+
+        await fs.promises.writeFile(localPath, buffer)
+        return (await uploadImage(localPath, "avatar")) || undefined
+    } catch (error) {
+        console.log("Failed to import avatar ", error?.message)
+        return undefined
+    } finally {
+        await removeTempFiles([localPath])
+    }
+}
+
+const createOAuthUser = async (provider, profile) => {
+    const avatar = await importAvatar(profile.picture)
+    const username = await uniqueUsername(profile.username || profile.email.split("@")[0])
+
+    let user
+    try {
+        user = await User.create({
+            username,
+            email: profile.email,
+            fullName: profile.name?.trim() || username,
+            avatar,
+            isEmailVerified: profile.emailVerified,
+            emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+            oauthAccounts: [accountEntry(provider, profile)]
+        })
+    } catch (error) {
+        // nothing will ever point to the imported avatar
+        await releaseImage(avatar, "orphaned")
+        if (error?.code === 11000) {
+            throw new ApiError(409, "User with email or username already exists")
+        }
+        throw error
+    }
+
+    await getWatchLater(user._id).catch((error) => {
+        console.log("Failed to create Watch Later playlist ", error)
+    })
+
+    return user
+}
+
+const signInWithProvider = async (provider, profile) => {
+    const linked = await findLinkedUser(provider, profile.subject)
+    if (linked) {
+        return { user: linked, created: false }
+    }
+
+    if (!profile.email) {
+        throw new ApiError(400, `Your ${provider.name} account has no email address we could use`)
+    }
+
+    const existing = await User.findOne({ email: profile.email })
+    if (existing) {
+        // an unverified address on either side could belong to somebody else
+        if (!profile.emailVerified || !existing.isEmailVerified) {
+            throw new ApiError(
+                409,
+                `An account with this email already exists, log in and link ${provider.name} from your account`
+            )
+        }
+        return { user: await linkProvider(existing._id, provider, profile), created: false }
+    }
+
+    return { user: await createOAuthUser(provider, profile), created: true }
+}
+
+// -> {user, linked, created, redirectTo}
+const completeAuthorization = async ({ providerName, code, state }) => {
+    const provider = getProvider(providerName)
+    const record = await consumeState(provider.name, state)
+
+    const tokens = await exchangeCode(provider, { code, codeVerifier: record.codeVerifier })
+    const profile = await fetchProfile(provider, tokens)
+
+    if (record.user) {
+        const user = await linkProvider(record.user, provider, profile)
+        return { user, linked: true, created: false, redirectTo: record.redirectTo }
+    }
+
+    const { user, created } = await signInWithProvider(provider, profile)
+    return { user, linked: false, created, redirectTo: record.redirectTo }
+}
+
+// the last way to sign in can't be removed, a password has to be set first
+const unlinkProvider = async (userId, providerName) => {
+    const result = await User.updateOne(
+        {
+            _id: userId,
+            "oauthAccounts.provider": providerName,
+            $or: [{ password: { $exists: true } }, { "oauthAccounts.1": { $exists: true } }]
+        },
+        { $pull: { oauthAccounts: { provider: providerName } } }
+    )
+
+    if (!result.modifiedCount) {
+        const linked = await User.exists({ _id: userId, "oauthAccounts.provider": providerName })
+        if (!linked) {
+            throw new ApiError(404, `No ${providerName} account is linked`)
+        }
+        throw new ApiError(409, `Set a password before unlinking ${providerName}, it is your only way to log in`)
+    }
+}
+
+const getLinkedAccounts = async (userId) => {
+    const user = await User.findById(userId).select("password oauthAccounts").lean()
+
+    return {
+        hasPassword: Boolean(user?.password),
+        accounts: (user?.oauthAccounts || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt }))
+    }
+}
+
+export {
+    startAuthorization,
+    completeAuthorization,
+    unlinkProvider,
+    getLinkedAccounts
+}
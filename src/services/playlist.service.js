@@ -0,0 +1,155 @@
+import { Playlist, MAX_PLAYLIST_VIDEOS } from "../models/playlist.model.js"
+import { Video } from "../models/video.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { viewableVideoMatch } from "./video.service.js"
+
+export const WATCH_LATER_NAME = "Watch Later"
+
+const ORDER_RETRIES = 3
+
+const isOwner = (playlist, user) => playlist.owner?.toString() === user?._id?.toString()
+
+const isCollaborator = (playlist, user) => Boolean(user) &&
+    playlist.collaborators.some((collaborator) => collaborator.toString() === user._id.toString())
+
+const canEditVideos = (playlist, user) => isOwner(playlist, user) || isCollaborator(playlist, user)
+
+// private playlists don't exist for anybody but their owner and collaborators
+const canView = (playlist, user) => playlist.visibility !== "private" || canEditVideos(playlist, user)
+
+// 404 unless the user can see the playlist, 403 unless they may change it as
+// asked: "owner" for the playlist itself, "videos" for its videos
+const findPlaylistFor = async (playlistId, user, access) => {
+    const playlist = await Playlist.findById(playlistId)
+
+    if (!playlist || !canView(playlist, user)) {
+        throw new ApiError(404, "Playlist not found")
+    }
+
+    const allowed = access === "owner" ? isOwner(playlist, user) : canEditVideos(playlist, user)
+    if (!allowed) {
+        throw new ApiError(403, "You are not allowed to modify this playlist")
+    }
+
+    return playlist
+}
+
+// Created on first use, the unique index makes concurrent calls end up with one.
+const getWatchLater = async (userId) => {
+    try {
+        return await Playlist.findOneAndUpdate(
+            { owner: userId, kind: "watch_later" },
+            {
+                $setOnInsert: {
+                    name: WATCH_LATER_NAME,
+                    visibility: "private",
+                    videos: [],
+                    collaborators: []
+                }
+            },
+            { upsert: true, new: true }
+        )
+    } catch (error) {
+        if (error?.code !== 11000) throw error
+        return Playlist.findOne({ owner: userId, kind: "watch_later" })
+    }
+}
+
+// Appends the video or inserts it at position. The filter only matches when the
+// video isn't in the playlist yet and there is room, so concurrent adds can't
+// create duplicates. Returns false when the video already is in the playlist.
+const addVideo = async (playlist, videoId, position) => {
+    const { modifiedCount } = await Playlist.updateOne(
+        {
+            _id: playlist._id,
+            videos: { $ne: videoId },
+            [`videos.${MAX_PLAYLIST_VIDEOS - 1}`]: { $exists: false }
+        },
+        {
+            $push: {
+                videos: position === undefined ? videoId : { $each: [videoId], $position: position }
+            }
+        }
+    )
+
+    if (modifiedCount) return true
+
+    const current = await Playlist.findById(playlist._id).select("videos").lean()
+    if (current?.videos.some((id) => id.toString() === videoId.toString())) return false
+
+    throw new ApiError(409, `A playlist holds at most ${MAX_PLAYLIST_VIDEOS} videos`)
+}
+
+// ids of the videos the user can see, the ones loadPlaylist shows them
+const visibleVideoIds = async (videoIds, user) => {
+    const videos = await Video.find({ _id: { $in: videoIds }, ...viewableVideoMatch(user) })
+    .select("_id")
+    .lean()
+
+    return new Set(videos.map(({ _id }) => _id.toString()))
+}
+
+// Rewrites the order with compute(visibleIds), which gets the videos the user
+// can see and returns them in their new order or throws. Videos hidden from
+// the user (private, unpublished or deleted) keep their slots. The write only
+// lands when nobody changed the playlist in between, otherwise it is computed
+// again from the fresh order. Returns the visible ids, hidden ones aren't leaked.
+const rewriteOrder = async (playlistId, user, compute) => {
+    for (let attempt = 0; attempt < ORDER_RETRIES; attempt++) {
+        const current = await Playlist.findById(playlistId).select("videos").lean()
+        if (!current) {
+            throw new ApiError(404, "Playlist not found")
+        }
+
+        const ids = current.videos.map((id) => id.toString())
+        const visible = await visibleVideoIds(ids, user)
+        const order = compute(ids.filter((id) => visible.has(id)))
+
+        let next = 0
+        const videos = ids.map((id) => visible.has(id) ? order[next++] : id)
+
+        const { matchedCount } = await Playlist.updateOne(
+            { _id: playlistId, videos: current.videos },
+            { $set: { videos } }
+        )
+        if (matchedCount) return order
+    }
+
+    throw new ApiError(409, "The playlist changed while it was reordered, please try again")
+}
+
+// position counts among the videos the user can see
+const moveVideo = (playlistId, videoId, position, user) => rewriteOrder(playlistId, user, (videos) => {
+    const from = videos.indexOf(videoId)
+    if (from === -1) {
+        throw new ApiError(404, "Video is not in the playlist")
+    }
+
+    const rest = videos.filter((id) => id !== videoId)
+    const to = Math.min(position, rest.length)
+    return [...rest.slice(0, to), videoId, ...rest.slice(to)]
+})
+
+// videoIds has to be exactly the videos of the playlist the user can see, in their new order
+const reorderVideos = (playlistId, videoIds, user) => rewriteOrder(playlistId, user, (videos) => {
+    const current = new Set(videos)
+    const requested = new Set(videoIds)
+
+    if (requested.size !== videoIds.length || current.size !== requested.size ||
+        videoIds.some((id) => !current.has(id))) {
+        throw new ApiError(409, "videoIds must list every video of the playlist exactly once")
+    }
+
+    return videoIds
+})
+
+export {
+    isOwner,
+    canEditVideos,
+    canView,
+    findPlaylistFor,
+    getWatchLater,
+    addVideo,
+    moveVideo,
+    reorderVideos
+}
@@ -0,0 +1,233 @@
+import mongoose from "mongoose"
+import { Reaction } from "../models/reaction.model.js"
+import { REACTION_TYPES } from "../models/reactionCounts.schema.js"
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { viewableVideoMatch } from "./video.service.js"
+import { recordVideoMetrics } from "./analytics.service.js"
+
+// Reactions
+// A user has at most one reaction per target, enforced by the unique index on
+// (targetType, targetId, user). Every write goes through findOneAndUpdate /
+// findOneAndDelete and the counters on the target are adjusted from the document
+// that call actually replaced or removed, so concurrent requests can neither
+// create duplicates nor move the counters twice.
+
+const TARGET_MODELS = { Video, Comment, Tweet }
+
+const assertReactionType = (targetType, type) => {
+    if (!REACTION_TYPES[targetType]?.includes(type)) {
+        throw new ApiError(400, `Unsupported reaction "${type}" for ${targetType.toLowerCase()}s`)
+    }
+}
+
+// changes is { [type]: delta }, likes on videos also go into the channel analytics
+const updateCounts = async (targetType, targetId, changes) => {
+    const $inc = {}
+    for (const [type, delta] of Object.entries(changes)) {
+        if (delta) $inc[`reactionCounts.${type}`] = delta
+    }
+    if (!Object.keys($inc).length) return
+
+    await TARGET_MODELS[targetType].updateOne({ _id: targetId }, { $inc })
+
+    if (targetType === "Video" && changes.like) {
+        await recordVideoMetrics(targetId, { likes: changes.like })
+    }
+}
+
+// 404 unless the target exists and the user is allowed to see it
+const findReactableTarget = async (targetType, targetId, user) => {
+    let target
+    if (targetType === "Video") {
+        target = await Video.exists({ _id: targetId, ...viewableVideoMatch(user) })
+    } else if (targetType === "Comment") {
+        const comment = await Comment.findOne({ _id: targetId, isDeleted: { $ne: true } }).select("video")
+        target = comment && await Video.exists({ _id: comment.video, ...viewableVideoMatch(user) })
+    } else {
+        target = await Tweet.exists({ _id: targetId })
+    }
+
+    if (!target) {
+        throw new ApiError(404, `${targetType} not found`)
+    }
+}
+
+// Sets the reaction of user on the target, setting the same type again changes nothing.
+const setReaction = async ({ targetType, targetId, user, type }) => {
+    assertReactionType(targetType, type)
+
+    // only matches when there is something to change
+    const filter = { targetType, targetId, user, type: { $ne: type } }
+    const update = { $set: { type, reactedAt: new Date() } }
+
+    try {
+        const previous = await Reaction.findOneAndUpdate(filter, update, { upsert: true }).lean()
+
+        await updateCounts(targetType, targetId, previous
+            ? { [previous.type]: -1, [type]: 1 }
+            : { [type]: 1 })
+    } catch (error) {
+        if (error?.code !== 11000) throw error
+
+        // the upsert hit the unique index: the user already has this type, or a
+        // concurrent request inserted a reaction first and we change its type
+        const previous = await Reaction.findOneAndUpdate(filter, update).lean()
+        if (previous) {
+            await updateCounts(targetType, targetId, { [previous.type]: -1, [type]: 1 })
+        }
+    }
+
+    return type
+}
+
+// Removes the reaction, only if it is of the given type when type is passed.
+// Returns the removed type or null when there was nothing to remove.
+const removeReaction = async ({ targetType, targetId, user, type }) => {
+    const removed = await Reaction.findOneAndDelete({
+        targetType,
+        targetId,
+        user,
+        ...(type ? { type } : {})
+    }).lean()
+
+    if (!removed) return null
+
+    await updateCounts(targetType, targetId, { [removed.type]: -1 })
+    return removed.type
+}
+
+// Removes the reaction when it already is of this type, sets it otherwise.
+// Returns the reaction the user has afterwards.
+const toggleReaction = async ({ targetType, targetId, user, type }) => {
+    assertReactionType(targetType, type)
+
+    const removed = await removeReaction({ targetType, targetId, user, type })
+    if (removed) return null
+
+    return setReaction({ targetType, targetId, user, type })
+}
+
+const getReactionCounts = async (targetType, targetId) => {
+    const target = await TARGET_MODELS[targetType].findById(targetId).select("reactionCounts").lean()
+    return target?.reactionCounts
+}
+
+// for targets that are deleted, their counters go away with them
+const deleteReactions = (targetType, targetIds) => Reaction.deleteMany({
+    targetType,
+    targetId: { $in: [].concat(targetIds) }
+})
+
+// Rebuilds the counters of one kind of target from the reactions
+const recountReactions = async (targetType) => {
+    const Model = TARGET_MODELS[targetType]
+    const zero = Object.fromEntries(REACTION_TYPES[targetType].map((type) => [type, 0]))
+
+    await Model.updateMany({}, { $set: { reactionCounts: zero } })
+
+    const counts = await Reaction.aggregate([
+        { $match: { targetType } },
+        { $group: { _id: { targetId: "$targetId", type: "$type" }, count: { $sum: 1 } } },
+        { $group: { _id: "$_id.targetId", counts: { $push: { k: "$_id.type", v: "$count" } } } }
+    ])
+
+    const operations = counts.map(({ _id, counts }) => ({
+        updateOne: {
+            filter: { _id },
+            update: {
+                $set: Object.fromEntries(counts.map(({ k, v }) => [`reactionCounts.${k}`, v]))
+            }
+        }
+    }))
+
+    if (operations.length) {
+        await Model.bulkWrite(operations, { ordered: false })
+    }
+    return operations.length
+}
+
+// One time move of the documents of the old Like model into reactions.
+// Does nothing once the likes collection is gone.
+const migrateLegacyLikes = async () => {
+    const likes = mongoose.connection.db.collection("likes")
+    if (!(await likes.estimatedDocumentCount())) return 0
+
+    let operations = []
+    let migrated = 0
+    const flush = async () => {
+        if (!operations.length) return
+        await Reaction.bulkWrite(operations, { ordered: false })
+        migrated += operations.length
+        operations = []
+    }
+
+    for await (const like of likes.find({})) {
+        const [targetType, targetId] = like.video
+            ? ["Video", like.video]
+            : like.comment
+                ? ["Comment", like.comment]
+                : ["Tweet", like.tweet]
+
+        if (!targetId || !like.likedBy) continue
+
+        operations.push({
+            updateOne: {
+                filter: { targetType, targetId, user: like.likedBy },
+                update: {
+                    $setOnInsert: {
+                        type: "like",
+                        reactedAt: like.createdAt || new Date()
+                    }
+                },
+                upsert: true
+            }
+        })
+        if (operations.length >= 500) await flush()
+    }
+    await flush()
+
+    for (const targetType of Object.keys(TARGET_MODELS)) {
+        await recountReactions(targetType)
+    }
+    await likes.drop()
+
+    return migrated
+}
+
+// Pipeline stages adding the viewer's reaction (viewerReaction, isLiked) to
+// documents of targetType, nothing for anonymous requests.
+const viewerReactionStages = (targetType, viewerId) => viewerId ? [
+    {
+        $lookup: {
+            from: "reactions",
+            localField: "_id",
+            foreignField: "targetId",
+            as: "viewerReaction",
+            pipeline: [
+                { $match: { targetType, user: viewerId } },
+                { $project: { type: 1 } }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            viewerReaction: { $ifNull: [{ $first: "$viewerReaction.type" }, null] },
+            isLiked: { $eq: [{ $first: "$viewerReaction.type" }, "like"] }
+        }
+    }
+] : []
+
+export {
+    findReactableTarget,
+    setReaction,
+    removeReaction,
+    toggleReaction,
+    getReactionCounts,
+    deleteReactions,
+    recountReactions,
+    migrateLegacyLikes,
+    viewerReactionStages
+}
@@ -0,0 +1,143 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import { Session } from "../models/session.model.js"
+import { User } from "../models/user.model.js"
+import { ApiError } from "../utils/ApiError.js"
+
+// Refresh token rotation
+// Every refresh swaps the session's token for a new one. A correctly signed
+// token for the session that is not the current one was already rotated away,
+// so somebody replayed it: the whole session gets revoked.
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const issueTokens = (user, sessionId) => {
+    const accessToken = user.generateAccessToken(sessionId)
+    const refreshToken = user.generateRefreshToken(sessionId)
+    const { exp } = jwt.decode(refreshToken)
+
+    return {
+        accessToken,
+        refreshToken,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(exp * 1000)
+    }
+}
+
+const createSession = async (user, { userAgent, ip } = {}) => {
+    const session = new Session({ user: user._id, userAgent, ip })
+    const { accessToken, refreshToken, tokenHash, expiresAt } = issueTokens(user, session._id.toString())
+
+    session.tokenHash = tokenHash
+    session.expiresAt = expiresAt
+    await session.save()
+
+    return { accessToken, refreshToken, session }
+}
+
+const rotateSession = async (incomingRefreshToken, { userAgent, ip } = {}) => {
+    let decodedToken
+    try {
+        decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET)
+    } catch (error) {
+        throw new ApiError(401, "Invalid refresh token")
+    }
+
+    if (!decodedToken?.sid) {
+        throw new ApiError(401, "Invalid refresh token")
+    }
+
+    const user = await User.findById(decodedToken._id)
+    if (!user) {
+        throw new ApiError(401, "Invalid refresh token")
+    }
+
+    const restriction = user.getAccessRestriction()
+    if (restriction) {
+        throw new ApiError(403, restriction)
+    }
+
+    const { accessToken, refreshToken, tokenHash, expiresAt } = issueTokens(user, decodedToken.sid)
+
+    // swaps the token only if the incoming one is still the current token
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: decodedToken.sid,
+            user: user._id,
+            tokenHash: hashToken(incomingRefreshToken),
+            revokedAt: null
+        },
+        {
+            $set: {
+                tokenHash,
+                expiresAt,
+                lastUsedAt: new Date(),
+                userAgent,
+                ip
+            }
+        },
+        { new: true }
+    )
+
+    if (session) {
+        return { accessToken, refreshToken, session }
+    }
+
+    const revoked = await Session.findOneAndUpdate(
+        { _id: decodedToken.sid, user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "token_reuse" } }
+    )
+
+    if (revoked) {
+        throw new ApiError(401, "Refresh token was already used, the session has been revoked")
+    }
+    throw new ApiError(401, "Refresh token is expired or used")
+}
+
+const isSessionActive = async (sessionId, userId) => {
+    const session = await Session.exists({
+        _id: sessionId,
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+    return Boolean(session)
+}
+
+const listSessions = (userId) => Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+})
+.select("userAgent ip lastUsedAt createdAt expiresAt")
+.sort({ lastUsedAt: -1 })
+.lean()
+
+const revokeSession = async (sessionId, userId, reason = "revoked") => {
+    const { modifiedCount } = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    )
+    return modifiedCount === 1
+}
+
+const revokeAllSessions = async (userId, { except, reason = "revoked" } = {}) => {
+    const { modifiedCount } = await Session.updateMany(
+        {
+            user: userId,
+            revokedAt: null,
+            ...(except ? { _id: { $ne: except } } : {})
+        },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    )
+    return modifiedCount
+}
+
+export {
+    createSession,
+    rotateSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+}
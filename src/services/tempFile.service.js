@@ -0,0 +1,62 @@
+import fs from "fs"
+import path from "path"
+
+// Temporary files
+// Multipart uploads land directly in public/temp and are moved away by whoever
+// handles the request. Whatever a request leaves behind is removed when its
+// response is done (see multer.middleware.js), the sweeper catches the rest,
+// e.g. after a crash. Subdirectories belong to resumable uploads and the video
+// processing job and are left alone.
+
+export const TEMP_DIR = path.resolve("public/temp")
+
+const getMaxAgeMs = () => Number(process.env.TEMP_FILE_MAX_AGE_MS) || 60 * 60 * 1000
+
+const removeTempFiles = async (filePaths) => {
+    await Promise.all(
+        filePaths
+        .filter(Boolean)
+        .map((filePath) => fs.promises.rm(filePath, { force: true }).catch((error) => {
+            console.log("Failed to remove temporary file ", filePath, error)
+        }))
+    )
+}
+
+// removes files that weren't written to for longer than TEMP_FILE_MAX_AGE_MS
+const sweepTempDir = async () => {
+    const cutoff = Date.now() - getMaxAgeMs()
+    const entries = await fs.promises.readdir(TEMP_DIR, { withFileTypes: true }).catch(() => [])
+
+    let removed = 0
+    for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith(".")) continue
+
+        const filePath = path.join(TEMP_DIR, entry.name)
+        const stats = await fs.promises.stat(filePath).catch(() => null)
+
+        if (stats && stats.mtimeMs < cutoff) {
+            await removeTempFiles([filePath])
+            removed++
+        }
+    }
+
+    return removed
+}
+
+const startTempSweeper = (intervalMs = Number(process.env.TEMP_SWEEP_INTERVAL_MS) || 15 * 60 * 1000) => {
+    const run = () => sweepTempDir().catch((error) => {
+        console.log("Temp file sweeper failed ", error)
+    })
+
+    run()
+    const timer = setInterval(run, intervalMs)
+    timer.unref()
+
+    return () => clearInterval(timer)
+}
+
+export {
+    removeTempFiles,
+    sweepTempDir,
+    startTempSweeper
+}
@@ -0,0 +1,284 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { Transform } from "stream"
+import { pipeline } from "stream/promises"
+import { UploadSession } from "../models/uploadSession.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { detectFileType } from "../utils/fileType.js"
+
+// Resumable uploads
+// init -> append chunks at the current offset -> finalize
+// Every append must start exactly at the stored offset, so a client that lost a
+// response can ask for the offset and carry on from there.
+
+const UPLOAD_DIR = path.resolve("public/temp/uploads")
+const LOCK_DURATION_MS = 2 * 60 * 1000
+// a chunk that is still streaming keeps extending its lock this often
+const LOCK_RENEW_INTERVAL_MS = 30 * 1000
+
+const getSessionTtlMs = () => Number(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000
+const getMaxFileSize = () => Number(process.env.UPLOAD_MAX_FILE_SIZE) || 2 * 1024 * 1024 * 1024
+const getMaxChunkSize = () => Number(process.env.UPLOAD_MAX_CHUNK_SIZE) || 64 * 1024 * 1024
+
+const partPath = (session) => path.join(UPLOAD_DIR, `${session._id}.part`)
+
+const createUploadSession = async ({ owner, fileName, fileSize, mimeType, checksum }) => {
+    const size = Number(fileSize)
+
+    if (!fileName?.trim()) {
+        throw new ApiError(400, "fileName is required")
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+        throw new ApiError(400, "fileSize must be a positive integer")
+    }
+    if (size > getMaxFileSize()) {
+        throw new ApiError(413, "File is too large")
+    }
+    if (mimeType && !mimeType.startsWith("video/")) {
+        throw new ApiError(400, "Only video files can be uploaded")
+    }
+    if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+        throw new ApiError(400, "checksum must be a hex encoded sha256 digest")
+    }
+
+    const session = await UploadSession.create({
+        owner,
+        fileName: path.basename(fileName.trim()),
+        fileSize: size,
+        mimeType,
+        checksum: checksum?.toLowerCase(),
+        expiresAt: new Date(Date.now() + getSessionTtlMs())
+    })
+
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true })
+    await fs.promises.writeFile(partPath(session), "")
+
+    return session
+}
+
+const getUploadSession = async (uploadId, owner) => {
+    const session = await UploadSession.findOne({ _id: uploadId, owner })
+
+    if (!session) {
+        throw new ApiError(404, "Upload not found")
+    }
+    return session
+}
+
+// takes the write lock on a session, explaining why when it can't
+const lockSession = async (uploadId, owner, conditions = {}) => {
+    const now = new Date()
+
+    const session = await UploadSession.findOneAndUpdate(
+        {
+            _id: uploadId,
+            owner,
+            status: "active",
+            expiresAt: { $gt: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+            ...conditions
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS) } },
+        { new: true }
+    )
+
+    if (session) return session
+
+    const current = await getUploadSession(uploadId, owner)
+
+    if (current.status !== "active" || current.expiresAt <= now) {
+        throw new ApiError(410, `Upload is ${current.status === "active" ? "expired" : current.status}`)
+    }
+    if (current.lockedUntil && current.lockedUntil > now) {
+        throw new ApiError(409, "Another request is writing to this upload")
+    }
+    if (conditions.offset !== undefined && current.offset !== conditions.offset) {
+        throw new ApiError(409, "Upload-Offset does not match the current offset", [
+            { offset: current.offset }
+        ])
+    }
+    throw new ApiError(409, "Upload is not complete", [{ offset: current.offset, fileSize: current.fileSize }])
+}
+
+// The lockedUntil a request set is its fencing token: once it doesn't match
+// anymore, another request took over the lock and this one must not write.
+const lockLost = () => new ApiError(409, "The upload lock was lost, ask for the current offset and retry")
+
+const renewLock = async (session) => {
+    const lockedUntil = new Date(Date.now() + LOCK_DURATION_MS)
+    const { matchedCount } = await UploadSession.updateOne(
+        { _id: session._id, lockedUntil: session.lockedUntil },
+        { $set: { lockedUntil } }
+    )
+    if (!matchedCount) throw lockLost()
+    session.lockedUntil = lockedUntil
+}
+
+const unlockSession = async (session, update = {}) => {
+    const { matchedCount } = await UploadSession.updateOne(
+        { _id: session._id, lockedUntil: session.lockedUntil },
+        { ...update, $unset: { lockedUntil: 1 } }
+    )
+    if (!matchedCount) throw lockLost()
+}
+
+// chunkChecksum is the base64 sha256 of the chunk, as in tus' Upload-Checksum header
+const appendChunk = async ({ uploadId, owner, offset, stream, chunkChecksum }) => {
+    const expectedOffset = Number(offset)
+    if (!Number.isInteger(expectedOffset) || expectedOffset < 0) {
+        throw new ApiError(400, "Upload-Offset header is required")
+    }
+
+    const session = await lockSession(uploadId, owner, { offset: expectedOffset })
+    const remaining = session.fileSize - session.offset
+    const maxChunkSize = getMaxChunkSize()
+
+    const hash = crypto.createHash("sha256")
+    let received = 0
+    let renewAt = Date.now() + LOCK_RENEW_INTERVAL_MS
+
+    const meter = new Transform({
+        transform(chunk, _, callback) {
+            received += chunk.length
+            if (received > remaining) {
+                return callback(new ApiError(413, "Chunk goes past the declared file size"))
+            }
+            if (received > maxChunkSize) {
+                return callback(new ApiError(413, `Chunks can be at most ${maxChunkSize} bytes`))
+            }
+            hash.update(chunk)
+
+            if (Date.now() < renewAt) {
+                return callback(null, chunk)
+            }
+            renewAt = Date.now() + LOCK_RENEW_INTERVAL_MS
+            renewLock(session).then(() => callback(null, chunk), callback)
+        }
+    })
+
+    try {
+        // positional write, a retried chunk simply overwrites whatever a failed attempt left
+        await pipeline(
+            stream,
+            meter,
+            fs.createWriteStream(partPath(session), { flags: "r+", start: session.offset })
+        )
+
+        if (chunkChecksum && hash.digest("base64") !== chunkChecksum) {
+            throw new ApiError(422, "Chunk checksum mismatch")
+        }
+    } catch (error) {
+        // a lost lock belongs to somebody else now, there is nothing to release
+        await unlockSession(session).catch(() => {})
+        throw error instanceof ApiError ? error : new ApiError(400, "Chunk upload was interrupted")
+    }
+
+    const newOffset = session.offset + received
+    await unlockSession(session, {
+        $set: {
+            offset: newOffset,
+            expiresAt: new Date(Date.now() + getSessionTtlMs())
+        }
+    })
+
+    session.offset = newOffset
+    return session
+}
+
+const hashFile = async (filePath) => {
+    const hash = crypto.createHash("sha256")
+    await pipeline(fs.createReadStream(filePath), hash)
+    return hash.digest("hex")
+}
+
+const discardUpload = async (session, status) => {
+    await fs.promises.rm(partPath(session), { force: true })
+    await UploadSession.updateOne(
+        { _id: session._id },
+        { $set: { status }, $unset: { lockedUntil: 1 } }
+    )
+}
+
+// Verifies the assembled file and hands it to onComplete, which receives the path
+// of the file (with the extension of its detected type) and has to consume it.
+const finalizeUpload = async ({ uploadId, owner, onComplete }) => {
+    const session = await UploadSession.findOne({ _id: uploadId, owner }).select("fileSize")
+    if (!session) {
+        throw new ApiError(404, "Upload not found")
+    }
+
+    const locked = await lockSession(uploadId, owner, { offset: session.fileSize })
+    const filePath = partPath(locked)
+
+    await fs.promises.truncate(filePath, locked.fileSize)
+
+    if (locked.checksum && (await hashFile(filePath)) !== locked.checksum) {
+        await discardUpload(locked, "aborted")
+        throw new ApiError(422, "Checksum of the uploaded file does not match, upload has to be restarted")
+    }
+
+    // the declared mimeType proves nothing, the content has to be a video
+    const type = await detectFileType(filePath)
+    if (!type?.mime.startsWith("video/")) {
+        await discardUpload(locked, "aborted")
+        throw new ApiError(415, "The uploaded file is not a supported video")
+    }
+
+    const finalPath = path.join(UPLOAD_DIR, `${locked._id}.${type.ext}`)
+    await fs.promises.rename(filePath, finalPath)
+
+    try {
+        const result = await onComplete(finalPath, locked)
+
+        await UploadSession.updateOne(
+            { _id: locked._id },
+            { $set: { status: "completed", video: result?._id }, $unset: { lockedUntil: 1 } }
+        )
+        return result
+    } catch (error) {
+        await fs.promises.rm(finalPath, { force: true })
+        await discardUpload(locked, "aborted")
+        throw error
+    }
+}
+
+const abortUpload = async ({ uploadId, owner }) => {
+    const session = await lockSession(uploadId, owner)
+    await discardUpload(session, "aborted")
+}
+
+const expireStaleUploads = async () => {
+    const stale = await UploadSession.find({
+        status: "active",
+        expiresAt: { $lte: new Date() }
+    }).limit(100)
+
+    for (const session of stale) {
+        await discardUpload(session, "expired")
+    }
+
+    return stale.length
+}
+
+const startUploadSweeper = (intervalMs = 10 * 60 * 1000) => {
+    const timer = setInterval(() => {
+        expireStaleUploads().catch((error) => {
+            console.log("Upload sweeper failed ", error)
+        })
+    }, intervalMs)
+    timer.unref()
+
+    return () => clearInterval(timer)
+}
+
+export {
+    getMaxChunkSize,
+    createUploadSession,
+    getUploadSession,
+    appendChunk,
+    finalizeUpload,
+    abortUpload,
+    expireStaleUploads,
+    startUploadSweeper
+}
@@ -0,0 +1,177 @@
+import fs from "fs"
+import path from "path"
+import { Video } from "../models/video.model.js"
+import { enqueueJob } from "../jobs/queue.js"
+import { notifyVideoPublished } from "./notification.service.js"
+import { VIDEO_PROCESSING_JOB, VIDEO_STAGING_DIR } from "../jobs/videoProcessing.job.js"
+
+const stageFile = async (localFilePath, name) => {
+    const destination = path.join(
+        VIDEO_STAGING_DIR,
+        `${name}${path.extname(localFilePath).toLowerCase()}`
+    )
+
+    await fs.promises.mkdir(VIDEO_STAGING_DIR, { recursive: true })
+    await fs.promises.rename(localFilePath, destination)
+
+    return destination
+}
+
+// Shared by publishAVideo (multipart upload) and the resumable upload finalize step.
+// Creates the video in "queued" state and leaves the heavy lifting to the
+// processing job. Both local files are moved away from their current path.
+// A publishAt in the future keeps the video unpublished until the scheduler releases it.
+const publishVideo = async ({
+    owner,
+    title,
+    description,
+    visibility = "public",
+    publishAt,
+    videoLocalPath,
+    thumbnailLocalPath
+}) => {
+    const isScheduled = Boolean(publishAt && publishAt > new Date())
+
+    const video = new Video({
+        title,
+        description,
+        owner,
+        visibility,
+        isPublished: !isScheduled,
+        publishAt: isScheduled ? publishAt : undefined,
+        processingStatus: "queued"
+    })
+
+    const videoPath = await stageFile(videoLocalPath, `${video._id}-source`)
+    const thumbnailPath = thumbnailLocalPath
+        ? await stageFile(thumbnailLocalPath, `${video._id}-upload`)
+        : undefined
+
+    try {
+        await video.save()
+
+        const job = await enqueueJob(VIDEO_PROCESSING_JOB, {
+            videoId: video._id.toString(),
+            videoPath,
+            thumbnailPath
+        })
+
+        video.processingJob = job.id
+        await Video.updateOne({ _id: video._id }, { $set: { processingJob: job.id } })
+    } catch (error) {
+        await Video.deleteOne({ _id: video._id })
+        await Promise.all(
+            [videoPath, thumbnailPath]
+            .filter(Boolean)
+            .map((file) => fs.promises.rm(file, { force: true }))
+        )
+        throw error
+    }
+
+    return video
+}
+
+// Who can see what: owners always see their own videos. Everybody else only
+// sees live videos that finished processing, and of those
+// - viewableVideoMatch: public and unlisted ones, for anything reached by id or link
+// - listedVideoMatch: public ones only, for listings, search and feeds
+// user may be undefined for anonymous requests.
+const visibilityMatch = (user, visibilities) => {
+    const isVisible = {
+        isPublished: true,
+        processingStatus: "ready",
+        visibility: { $in: visibilities }
+    }
+
+    return user?._id
+        ? { $or: [{ owner: user._id }, isVisible] }
+        : isVisible
+}
+
+const viewableVideoMatch = (user) => visibilityMatch(user, ["public", "unlisted"])
+
+const listedVideoMatch = (user) => visibilityMatch(user, ["public"])
+
+// Sets publishedAt on the matching videos that just became live and ready and
+// announces them. The processing job and togglePublishStatus do the same on the
+// document they hold.
+const stampPublishedAt = async (filter) => {
+    const publishedAt = new Date()
+    const { modifiedCount } = await Video.updateMany(
+        {
+            ...filter,
+            isPublished: true,
+            processingStatus: "ready",
+            publishedAt: { $exists: false }
+        },
+        { $set: { publishedAt } }
+    )
+    if (!modifiedCount) return 0
+
+    const published = await Video.find({ ...filter, publishedAt }).select("visibility")
+    for (const video of published) {
+        await notifyVideoPublished(video)
+    }
+    return modifiedCount
+}
+
+// flips scheduled videos live once their publishAt has passed
+const publishScheduledVideos = async (now = new Date()) => {
+    const due = await Video.find({
+        isPublished: false,
+        publishAt: { $lte: now },
+        "moderation.at": { $exists: false }
+    })
+    .select("_id")
+    .limit(500)
+    .lean()
+
+    if (!due.length) return 0
+
+    const ids = due.map((video) => video._id)
+    const { modifiedCount } = await Video.updateMany(
+        { _id: { $in: ids }, isPublished: false },
+        {
+            $set: { isPublished: true },
+            $unset: { publishAt: 1 }
+        }
+    )
+    await stampPublishedAt({ _id: { $in: ids } })
+
+    return modifiedCount
+}
+
+const startPublishScheduler = (intervalMs = Number(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || 60 * 1000) => {
+    const run = () => publishScheduledVideos().catch((error) => {
+        console.log("Publish scheduler failed ", error)
+    })
+
+    // videos created before processing, visibility and publishedAt existed,
+    // publishedAt is only stamped on ready videos so processingStatus goes first
+    Video.updateMany({ processingStatus: { $exists: false } }, { $set: { processingStatus: "ready" } })
+    .then(() => Promise.all([
+        Video.updateMany({ visibility: { $exists: false } }, { $set: { visibility: "public" } }),
+        Video.updateMany(
+            { isPublished: true, processingStatus: "ready", publishedAt: { $exists: false } },
+            [{ $set: { publishedAt: "$createdAt" } }]
+        )
+    ]))
+    .then(run)
+    .catch((error) => {
+        console.log("Visibility backfill failed ", error)
+    })
+
+    const timer = setInterval(run, intervalMs)
+    timer.unref()
+
+    return () => clearInterval(timer)
+}
+
+export {
+    publishVideo,
+    viewableVideoMatch,
+    listedVideoMatch,
+    stampPublishedAt,
+    publishScheduledVideos,
+    startPublishScheduler
+}
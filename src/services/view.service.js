@@ -0,0 +1,181 @@
+import crypto from "crypto"
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { VideoView } from "../models/videoView.model.js"
+import { WatchHistory } from "../models/watchHistory.model.js"
+import { recordVideoMetrics } from "./analytics.service.js"
+
+// View counting
+// Players send a heartbeat every few seconds with the current position and the
+// seconds watched since the previous heartbeat. A view is counted once per viewer
+// and dedup window, after the viewer watched long enough.
+
+const MAX_HEARTBEAT_SECONDS = 60
+const HEARTBEAT_SLACK_SECONDS = 5
+
+const getDedupWindowMs = () => (Number(process.env.VIEW_DEDUP_WINDOW_HOURS) || 24) * 60 * 60 * 1000
+
+// short videos count after half of their length
+const getMinWatchSeconds = (duration) => {
+    const minimum = Number(process.env.VIEW_MIN_WATCH_SECONDS) || 30
+    return duration > 0 ? Math.min(minimum, duration / 2) : minimum
+}
+
+// anonymous viewers are told apart by address and browser, never by an id the
+// client picks, otherwise every new id would be another view
+const getViewerKey = ({ user, ip, userAgent }) => {
+    if (user?._id) return `u:${user._id}`
+
+    const salt = process.env.VIEW_HASH_SALT || process.env.ACCESS_TOKEN_SECRET
+    const hash = crypto
+        .createHash("sha256")
+        .update(`${salt}:${ip || ""}:${userAgent || ""}`)
+        .digest("hex")
+
+    return `a:${hash}`
+}
+
+// Clients can't claim more watch time than actually passed, neither since their
+// previous heartbeat nor in total since the window started. The first heartbeat
+// of a window only starts the clock.
+const creditableSeconds = (watchedSeconds, view, now) => {
+    const startedAt = view.startedAt || view.createdAt
+    const claimed = Math.min(Math.max(Number(watchedSeconds) || 0, 0), MAX_HEARTBEAT_SECONDS)
+    const sinceLastHeartbeat = (now - (view.lastHeartbeatAt || startedAt)) / 1000 + HEARTBEAT_SLACK_SECONDS
+    const sinceStart = (now - startedAt) / 1000 + HEARTBEAT_SLACK_SECONDS - view.watchedSeconds
+
+    return Math.max(0, Math.min(claimed, sinceLastHeartbeat, sinceStart))
+}
+
+const MAX_HEARTBEAT_RETRIES = 3
+
+const addWatchTime = async (videoId, viewerKey, watchedSeconds, now, attempt = 0) => {
+    const current = await VideoView.findOne({
+        video: videoId,
+        viewerKey,
+        expiresAt: { $gt: now }
+    }).select("watchedSeconds startedAt lastHeartbeatAt createdAt")
+
+    if (current) {
+        const seconds = creditableSeconds(watchedSeconds, current, now)
+
+        // only applies when no parallel heartbeat was credited in between
+        const view = await VideoView.findOneAndUpdate(
+            { _id: current._id, watchedSeconds: current.watchedSeconds },
+            { $inc: { watchedSeconds: seconds }, $set: { lastHeartbeatAt: now } },
+            { new: true }
+        )
+        if (view) {
+            return { view, seconds }
+        }
+        if (attempt >= MAX_HEARTBEAT_RETRIES) {
+            return { view: await VideoView.findById(current._id), seconds: 0 }
+        }
+        return addWatchTime(videoId, viewerKey, watchedSeconds, now, attempt + 1)
+    }
+
+    // no view in the current window: start a new one, replacing an expired
+    // document the TTL monitor did not remove yet
+    try {
+        const view = await VideoView.findOneAndUpdate(
+            { video: videoId, viewerKey, expiresAt: { $lte: now } },
+            {
+                $set: {
+                    watchedSeconds: 0,
+                    counted: false,
+                    startedAt: now,
+                    lastHeartbeatAt: now,
+                    expiresAt: new Date(now.getTime() + getDedupWindowMs())
+                }
+            },
+            { upsert: true, new: true }
+        )
+        return { view, seconds: 0 }
+    } catch (error) {
+        // a parallel heartbeat started the window first
+        if (error?.code !== 11000 || attempt >= MAX_HEARTBEAT_RETRIES) throw error
+        return addWatchTime(videoId, viewerKey, watchedSeconds, now, attempt + 1)
+    }
+}
+
+const recordWatchProgress = async ({ video, user, ip, userAgent, position, watchedSeconds }) => {
+    const now = new Date()
+    const viewerKey = getViewerKey({ user, ip, userAgent })
+
+    const { view, seconds } = await addWatchTime(video._id, viewerKey, watchedSeconds, now)
+
+    let counted = false
+    if (!view.counted && view.watchedSeconds >= getMinWatchSeconds(video.duration)) {
+        // only the request that flips the flag increments the counter
+        const result = await VideoView.updateOne(
+            { _id: view._id, counted: false },
+            { $set: { counted: true } }
+        )
+
+        if (result.modifiedCount === 1) {
+            await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } })
+            await recordVideoMetrics(video, { views: 1 }, now)
+            counted = true
+        }
+    }
+
+    if (user?._id) {
+        const resumePosition = Math.min(Math.max(Number(position) || 0, 0), video.duration || Infinity)
+
+        await WatchHistory.updateOne(
+            { user: user._id, video: video._id },
+            {
+                $set: { lastWatchedAt: now, position: resumePosition },
+                $inc: { watchedSeconds: seconds }
+            },
+            { upsert: true }
+        )
+    }
+
+    return { counted }
+}
+
+// Users kept their history as an array of video ids before WatchHistory, oldest
+// first. Each id becomes an entry, spaced a millisecond apart to keep the order,
+// and the array is dropped. Safe to run on every start.
+const migrateLegacyWatchHistory = async () => {
+    let migrated = 0
+    const cursor = User.collection.find(
+        { watchHistory: { $exists: true } },
+        { projection: { watchHistory: 1, updatedAt: 1 } }
+    )
+
+    for await (const user of cursor) {
+        const videoIds = Array.isArray(user.watchHistory) ? user.watchHistory : []
+        const latest = (user.updatedAt || new Date()).getTime()
+
+        // the array may hold a video more than once, its last position counts
+        const lastIndex = new Map(videoIds.map((videoId, index) => [videoId.toString(), index]))
+
+        if (lastIndex.size) {
+            await WatchHistory.bulkWrite(
+                [...lastIndex].map(([videoId, index]) => ({
+                    updateOne: {
+                        filter: { user: user._id, video: videoId },
+                        update: {
+                            $setOnInsert: { lastWatchedAt: new Date(latest - (videoIds.length - 1 - index)) }
+                        },
+                        upsert: true
+                    }
+                })),
+                { ordered: false }
+            )
+        }
+
+        await User.collection.updateOne({ _id: user._id }, { $unset: { watchHistory: 1 } })
+        migrated += lastIndex.size
+    }
+
+    return migrated
+}
+
+export {
+    getViewerKey,
+    recordWatchProgress,
+    migrateLegacyWatchHistory
+}
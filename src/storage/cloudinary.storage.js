@@ -0,0 +1,82 @@
+import {v2 as cloudinary} from "cloudinary"
+import fs from "fs"
+
+let configured = false
+
+const getClient = () => {
+    if (!configured) {
+        cloudinary.config({
+            cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+            api_key: process.env.CLOUDINARY_API_KEY,
+            api_secret: process.env.CLOUDINARY_API_SECRET
+        });
+        configured = true
+    }
+    return cloudinary
+}
+
+const upload = async (localFilePath, { folder, resourceType = "auto" } = {}) => {
+    try {
+        const response = await getClient().uploader.upload(localFilePath, {
+            resource_type: resourceType,
+            folder
+        })
+        fs.unlinkSync(localFilePath)
+
+        return {
+            provider: "cloudinary",
+            key: response.public_id,
+            url: response.secure_url || response.url,
+            resourceType: response.resource_type,
+            format: response.format,
+            bytes: response.bytes,
+            width: response.width,
+            height: response.height,
+            duration: response.duration
+        }
+    } catch (error) {
+        fs.unlinkSync(localFilePath) // remove the locally saved temporary file as the upload operation got failed
+        return null
+    }
+}
+
+const remove = async (asset) => {
+    const response = await getClient().uploader.destroy(asset.key, {
+        resource_type: asset.resourceType || "image",
+        invalidate: true
+    })
+
+    // "not found" means there is nothing left to delete, which is what we wanted
+    return response?.result === "ok" || response?.result === "not found"
+}
+
+const getSignedUrl = async (asset, { expiresIn = 3600 } = {}) => {
+    return getClient().utils.private_download_url(asset.key, asset.format, {
+        resource_type: asset.resourceType || "image",
+        type: "upload",
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    })
+}
+
+const getMetadata = async (asset) => {
+    const resource = await getClient().api.resource(asset.key, {
+        resource_type: asset.resourceType || "image"
+    })
+
+    return {
+        bytes: resource.bytes,
+        format: resource.format,
+        width: resource.width,
+        height: resource.height,
+        duration: resource.duration,
+        createdAt: resource.created_at ? new Date(resource.created_at) : undefined
+    }
+}
+
+export default {
+    name: "cloudinary",
+    upload,
+    remove,
+    getSignedUrl,
+    getMetadata
+}
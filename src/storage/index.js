@@ -0,0 +1,61 @@
+import cloudinaryStorage from "./cloudinary.storage.js"
+import localStorage from "./local.storage.js"
+
+// Every adapter implements the same interface:
+//   upload(localFilePath, {folder, resourceType}) -> asset reference or null
+//   remove(asset)                                 -> true when the file is gone
+//   getSignedUrl(asset, {expiresIn})              -> time limited url
+//   getMetadata(asset)                            -> {bytes, format, ...}
+//
+// An asset reference is what gets stored on the models (see models/asset.schema.js).
+// It carries the provider that holds the file, so assets keep working after
+// STORAGE_PROVIDER is switched and new uploads go somewhere else.
+
+const adapters = {
+    [cloudinaryStorage.name]: cloudinaryStorage,
+    [localStorage.name]: localStorage
+}
+
+const getAdapter = (provider) => {
+    const adapter = adapters[provider]
+    if (!adapter) {
+        throw new Error(`Unknown storage provider: ${provider}`)
+    }
+    return adapter
+}
+
+const getDefaultProvider = () => process.env.STORAGE_PROVIDER || "local"
+
+const uploadFile = async (localFilePath, options = {}) => {
+    if (!localFilePath) return null
+    return getAdapter(getDefaultProvider()).upload(localFilePath, options)
+}
+
+const deleteFile = async (asset) => {
+    if (!asset?.key) return true
+    return getAdapter(asset.provider).remove(asset)
+}
+
+const getSignedUrl = async (asset, options = {}) => {
+    return getAdapter(asset.provider).getSignedUrl(asset, options)
+}
+
+const getFileMetadata = async (asset) => {
+    return getAdapter(asset.provider).getMetadata(asset)
+}
+
+// path on this machine for providers that keep files locally, null otherwise
+const getLocalPath = (asset) => {
+    const adapter = getAdapter(asset.provider)
+    return adapter.resolvePath ? adapter.resolvePath(asset.key) : null
+}
+
+export {
+    getAdapter,
+    getDefaultProvider,
+    uploadFile,
+    deleteFile,
+    getSignedUrl,
+    getFileMetadata,
+    getLocalPath
+}
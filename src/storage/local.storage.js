@@ -0,0 +1,125 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+
+// Files are kept under public/<LOCAL_STORAGE_DIR>. express.static doesn't get to
+// serve them, middlewares/localStorage.middleware.js checks the signature first.
+
+const PUBLIC_ROOT = path.resolve("public")
+
+const getStorageDir = () => path.join(PUBLIC_ROOT, process.env.LOCAL_STORAGE_DIR || "uploads")
+
+const getBaseUrl = () => (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "")
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif"]
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".webm", ".mkv", ".avi", ".m4v", ".ts", ".m3u8"]
+
+const detectResourceType = (extension) => {
+    if (IMAGE_EXTENSIONS.includes(extension)) return "image"
+    if (VIDEO_EXTENSIONS.includes(extension)) return "video"
+    return "raw"
+}
+
+// resolves a key to an absolute path, refusing anything that escapes the storage dir
+const resolvePath = (key) => {
+    const storageDir = getStorageDir()
+    const filePath = path.resolve(storageDir, key)
+
+    if (!filePath.startsWith(storageDir + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`)
+    }
+    return filePath
+}
+
+// path the files are served under, e.g. /uploads
+const getUrlPath = () => `/${path.relative(PUBLIC_ROOT, getStorageDir()).split(path.sep).join("/")}`
+
+const urlFor = (key) => `${getBaseUrl()}${getUrlPath()}/${key}`
+
+const moveFile = async (from, to) => {
+    try {
+        await fs.promises.rename(from, to)
+    } catch (error) {
+        // rename does not work across devices, fall back to copy + delete
+        if (error.code !== "EXDEV") throw error
+        await fs.promises.copyFile(from, to)
+        await fs.promises.unlink(from)
+    }
+}
+
+const upload = async (localFilePath, { folder = "misc", key: requestedKey } = {}) => {
+    try {
+        const extension = path.extname(localFilePath).toLowerCase()
+        const key = requestedKey || `${folder}/${crypto.randomUUID()}${extension}`
+        const destination = resolvePath(key)
+
+        await fs.promises.mkdir(path.dirname(destination), { recursive: true })
+        await moveFile(localFilePath, destination)
+
+        const stats = await fs.promises.stat(destination)
+
+        return {
+            provider: "local",
+            key,
+            url: urlFor(key),
+            resourceType: detectResourceType(path.extname(key).toLowerCase()),
+            format: path.extname(key).slice(1).toLowerCase() || undefined,
+            bytes: stats.size
+        }
+    } catch (error) {
+        fs.rmSync(localFilePath, { force: true })
+        return null
+    }
+}
+
+const remove = async (asset) => {
+    await fs.promises.rm(resolvePath(asset.key), { force: true })
+    return true
+}
+
+const sign = (key, expires) => {
+    const secret = process.env.STORAGE_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET
+    return crypto
+        .createHmac("sha256", secret)
+        .update(`${key}:${expires}`)
+        .digest("base64url")
+}
+
+const getSignedUrl = async (asset, { expiresIn = 3600 } = {}) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn
+    return `${urlFor(asset.key)}?expires=${expires}&signature=${sign(asset.key, expires)}`
+}
+
+// counterpart of getSignedUrl, enforced when the files are served
+const verifySignature = (key, expires, signature) => {
+    if (!signature || !expires || Number(expires) < Math.floor(Date.now() / 1000)) {
+        return false
+    }
+
+    const expected = Buffer.from(sign(key, expires))
+    const received = Buffer.from(String(signature))
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+const getMetadata = async (asset) => {
+    const stats = await fs.promises.stat(resolvePath(asset.key))
+
+    return {
+        bytes: stats.size,
+        format: path.extname(asset.key).slice(1).toLowerCase() || undefined,
+        createdAt: stats.birthtime,
+        modifiedAt: stats.mtime
+    }
+}
+
+export default {
+    name: "local",
+    upload,
+    remove,
+    getSignedUrl,
+    getMetadata,
+    resolvePath,
+    getUrlPath,
+    verifySignature
+}
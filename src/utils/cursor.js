@@ -0,0 +1,61 @@
+import mongoose from "mongoose"
+import { ApiError } from "./ApiError.js"
+
+// Opaque cursors for keyset pagination.
+// A cursor remembers the sort key and the position of the last row that was
+// returned, so the next page starts right after it no matter what got inserted
+// in the meantime.
+
+const encodeCursor = ({ sortBy, sortType, value, id }) => {
+    const payload = {
+        s: sortBy,
+        t: sortType,
+        v: value instanceof Date ? { $date: value.toISOString() } : value,
+        i: id.toString()
+    }
+
+    return Buffer.from(JSON.stringify(payload)).toString("base64url")
+}
+
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+
+        if (!payload?.s || !payload?.t || !mongoose.isValidObjectId(payload.i)) {
+            throw new Error("malformed cursor")
+        }
+
+        let value = payload.v
+        if (value && typeof value === "object" && value.$date) {
+            value = new Date(value.$date)
+        }
+
+        return {
+            sortBy: payload.s,
+            sortType: payload.t,
+            value,
+            id: new mongoose.Types.ObjectId(payload.i)
+        }
+    } catch (error) {
+        throw new ApiError(400, "Invalid cursor")
+    }
+}
+
+// $match stage that selects rows strictly after the cursor position,
+// using _id as the tie breaker for equal sort values
+const cursorMatch = (field, direction, { value, id }) => {
+    const op = direction === -1 ? "$lt" : "$gt"
+
+    return {
+        $or: [
+            { [field]: { [op]: value } },
+            { [field]: value, _id: { [op]: id } }
+        ]
+    }
+}
+
+export {
+    encodeCursor,
+    decodeCursor,
+    cursorMatch
+}
@@ -0,0 +1,108 @@
+import { spawn } from "child_process"
+
+// Thin wrappers around the ffmpeg / ffprobe binaries installed on the host.
+// FFMPEG_PATH and FFPROBE_PATH can point to binaries outside of PATH.
+
+const ffmpegPath = () => process.env.FFMPEG_PATH || "ffmpeg"
+const ffprobePath = () => process.env.FFPROBE_PATH || "ffprobe"
+
+const MAX_STDERR_LENGTH = 16 * 1024
+
+const run = (command, args) => new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] })
+
+    let stdout = ""
+    let stderr = ""
+
+    child.stdout.on("data", (data) => {
+        stdout += data
+    })
+    child.stderr.on("data", (data) => {
+        // ffmpeg logs a lot, only the tail is useful when something fails
+        stderr = (stderr + data).slice(-MAX_STDERR_LENGTH)
+    })
+
+    child.on("error", reject)
+    child.on("close", (code) => {
+        if (code === 0) return resolve(stdout)
+
+        const lastLines = stderr.trim().split("\n").slice(-3).join(" ")
+        reject(new Error(`${command} exited with code ${code}: ${lastLines}`))
+    })
+})
+
+const runFfmpeg = (args) => run(ffmpegPath(), ["-hide_banner", "-loglevel", "error", ...args])
+
+const probeVideo = async (filePath) => {
+    const output = await run(ffprobePath(), [
+        "-v", "error",
+        "-print_format", "json",
+        "-show_format",
+        "-show_streams",
+        filePath
+    ])
+
+    const data = JSON.parse(output)
+    const videoStream = data.streams?.find((stream) => stream.codec_type === "video")
+    const audioStream = data.streams?.find((stream) => stream.codec_type === "audio")
+
+    if (!videoStream) {
+        throw new Error("File does not contain a video stream")
+    }
+
+    return {
+        duration: Number(data.format?.duration) || Number(videoStream.duration) || 0,
+        width: videoStream.width,
+        height: videoStream.height,
+        videoCodec: videoStream.codec_name,
+        audioCodec: audioStream?.codec_name,
+        bitrate: Number(data.format?.bit_rate) || undefined
+    }
+}
+
+const extractThumbnail = (videoPath, outputPath, atSeconds = 1) => runFfmpeg([
+    "-y",
+    "-ss", String(atSeconds),
+    "-i", videoPath,
+    "-frames:v", "1",
+    "-vf", "scale='min(1280,iw)':-2",
+    "-q:v", "3",
+    outputPath
+])
+
+// one HLS rendition: <outputDir>/index.m3u8 plus its .ts segments
+const transcodeHlsRendition = (videoPath, outputDir, {
+    height,
+    videoBitrate,
+    audioBitrate,
+    hasAudio = true,
+    segmentSeconds = 6
+}) => runFfmpeg([
+    "-y",
+    "-i", videoPath,
+    "-vf", `scale=-2:${height}`,
+    "-c:v", "libx264",
+    "-preset", "veryfast",
+    "-profile:v", "main",
+    "-b:v", String(videoBitrate),
+    "-maxrate", String(Math.round(videoBitrate * 1.07)),
+    "-bufsize", String(Math.round(videoBitrate * 1.5)),
+    // fixed keyframe interval so every segment starts with a keyframe
+    "-force_key_frames", `expr:gte(t,n_forced*${segmentSeconds})`,
+    "-sc_threshold", "0",
+    ...(hasAudio
+        ? ["-c:a", "aac", "-b:a", String(audioBitrate), "-ac", "2"]
+        : ["-an"]),
+    "-f", "hls",
+    "-hls_time", String(segmentSeconds),
+    "-hls_playlist_type", "vod",
+    "-hls_segment_filename", `${outputDir}/segment_%04d.ts`,
+    `${outputDir}/index.m3u8`
+])
+
+export {
+    runFfmpeg,
+    probeVideo,
+    extractThumbnail,
+    transcodeHlsRendition
+}
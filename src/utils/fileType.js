@@ -0,0 +1,70 @@
+import fs from "fs"
+
+// File type detection from the first bytes of a file ("magic bytes"), the
+// name and the mime type a client sends can be anything.
+
+const HEADER_BYTES = 4100
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    bytes.every((byte, index) => buffer[offset + index] === byte)
+
+const ascii = (buffer, start, end) => buffer.toString("latin1", start, end)
+
+// ISO base media files (mp4, mov, 3gp) name their flavour in the ftyp box
+const detectIsoMedia = (buffer) => {
+    if (ascii(buffer, 4, 8) !== "ftyp") return null
+
+    const brand = ascii(buffer, 8, 12)
+    if (brand === "qt  ") return { mime: "video/quicktime", ext: "mov" }
+    if (brand.startsWith("3g")) return { mime: "video/3gpp", ext: "3gp" }
+    if (["avif", "avis"].includes(brand)) return { mime: "image/avif", ext: "avif" }
+    if (["heic", "heix", "mif1", "msf1"].includes(brand)) return { mime: "image/heic", ext: "heic" }
+    return { mime: "video/mp4", ext: "mp4" }
+}
+
+const SIGNATURES = [
+    { mime: "image/jpeg", ext: "jpg", test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+    { mime: "image/png", ext: "png", test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { mime: "image/gif", ext: "gif", test: (b) => ["GIF87a", "GIF89a"].includes(ascii(b, 0, 6)) },
+    { mime: "image/webp", ext: "webp", test: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP" },
+    { mime: "video/x-msvideo", ext: "avi", test: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "AVI " },
+    // matroska and webm share the EBML header, webm says so in its doctype
+    {
+        mime: "video/webm",
+        ext: "webm",
+        test: (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) && b.includes("webm", 0, "latin1")
+    },
+    { mime: "video/x-matroska", ext: "mkv", test: (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+    { mime: "video/ogg", ext: "ogv", test: (b) => ascii(b, 0, 4) === "OggS" },
+    {
+        mime: "video/mpeg",
+        ext: "mpg",
+        test: (b) => startsWith(b, [0x00, 0x00, 0x01, 0xba]) || startsWith(b, [0x00, 0x00, 0x01, 0xb3])
+    },
+    { mime: "video/mp2t", ext: "ts", test: (b) => b.length > 188 && b[0] === 0x47 && b[188] === 0x47 }
+]
+
+const detectBuffer = (buffer) => {
+    const isoMedia = detectIsoMedia(buffer)
+    if (isoMedia) return isoMedia
+
+    const match = SIGNATURES.find(({ test }) => test(buffer))
+    return match ? { mime: match.mime, ext: match.ext } : null
+}
+
+// {mime, ext} of the file, null when it is none of the known image and video types
+const detectFileType = async (filePath) => {
+    const handle = await fs.promises.open(filePath, "r")
+    try {
+        const buffer = Buffer.alloc(HEADER_BYTES)
+        const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0)
+        return detectBuffer(buffer.subarray(0, bytesRead))
+    } finally {
+        await handle.close()
+    }
+}
+
+export {
+    detectBuffer,
+    detectFileType
+}
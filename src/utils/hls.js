@@ -0,0 +1,84 @@
+// HLS rendition ladder and playlist (m3u8) helpers
+
+const HLS_RENDITIONS = [
+    { name: "240p", height: 240, videoBitrate: 400000, audioBitrate: 64000 },
+    { name: "480p", height: 480, videoBitrate: 1000000, audioBitrate: 96000 },
+    { name: "720p", height: 720, videoBitrate: 2800000, audioBitrate: 128000 }
+]
+
+const SEGMENT_SECONDS = 6
+
+// never upscale, but always produce at least the smallest rendition
+const selectRenditions = (sourceHeight) => {
+    const fitting = HLS_RENDITIONS.filter((rendition) => rendition.height <= sourceHeight)
+    return fitting.length ? fitting : [HLS_RENDITIONS[0]]
+}
+
+const scaledWidth = (source, height) => {
+    if (!source?.width || !source?.height) return undefined
+    return Math.round((source.width * height) / source.height / 2) * 2
+}
+
+// reads the segment list out of a playlist written by ffmpeg
+const parseMediaPlaylist = (content) => {
+    const segments = []
+    let duration
+
+    for (const rawLine of content.split("\n")) {
+        const line = rawLine.trim()
+
+        if (line.startsWith("#EXTINF:")) {
+            duration = parseFloat(line.slice("#EXTINF:".length))
+        } else if (line && !line.startsWith("#")) {
+            segments.push({ uri: line, duration })
+            duration = undefined
+        }
+    }
+
+    return segments
+}
+
+const buildMasterPlaylist = (renditions) => {
+    const lines = ["#EXTM3U", "#EXT-X-VERSION:3"]
+
+    for (const rendition of renditions) {
+        const resolution = rendition.width ? `,RESOLUTION=${rendition.width}x${rendition.height}` : ""
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth}${resolution}`)
+        lines.push(`${rendition.name}.m3u8`)
+    }
+
+    return lines.join("\n") + "\n"
+}
+
+// segments: [{url, duration}]
+const buildMediaPlaylist = (segments) => {
+    const targetDuration = Math.ceil(
+        Math.max(SEGMENT_SECONDS, ...segments.map((segment) => segment.duration || 0))
+    )
+
+    const lines = [
+        "#EXTM3U",
+        "#EXT-X-VERSION:3",
+        `#EXT-X-TARGETDURATION:${targetDuration}`,
+        "#EXT-X-MEDIA-SEQUENCE:0",
+        "#EXT-X-PLAYLIST-TYPE:VOD"
+    ]
+
+    for (const segment of segments) {
+        lines.push(`#EXTINF:${segment.duration.toFixed(3)},`)
+        lines.push(segment.url)
+    }
+
+    lines.push("#EXT-X-ENDLIST")
+    return lines.join("\n") + "\n"
+}
+
+export {
+    HLS_RENDITIONS,
+    SEGMENT_SECONDS,
+    selectRenditions,
+    scaledWidth,
+    parseMediaPlaylist,
+    buildMasterPlaylist,
+    buildMediaPlaylist
+}
@@ -0,0 +1,23 @@
+// Roles are ordered from least to most privileged
+export const ROLES = ["user", "moderator", "admin"]
+
+const MODERATOR_PERMISSIONS = [
+    "users:read",
+    "users:suspend",
+    "videos:moderate",
+    "comments:delete",
+    "tweets:delete"
+]
+
+export const ROLE_PERMISSIONS = {
+    user: [],
+    moderator: MODERATOR_PERMISSIONS,
+    admin: [...MODERATOR_PERMISSIONS, "users:ban", "users:role"]
+}
+
+export const hasPermission = (user, permission) => Boolean(
+    ROLE_PERMISSIONS[user?.role]?.includes(permission)
+)
+
+// staff can only act on accounts below their own role
+export const outranks = (user, target) => ROLES.indexOf(user.role) > ROLES.indexOf(target.role)
@@ -0,0 +1,36 @@
+import { z } from "zod"
+import { objectId, pagination, optionalText, requiredText } from "./common.validator.js"
+import { ROLES } from "../utils/permissions.js"
+import { ACCOUNT_STATUSES } from "../models/user.model.js"
+
+const REASON_MAX_LENGTH = 500
+
+export const listUsersQuery = z.object({
+    ...pagination,
+    query: optionalText(100),
+    role: z.enum(ROLES).optional(),
+    status: z.enum(ACCOUNT_STATUSES).optional()
+})
+
+export const userIdParams = z.object({
+    userId: objectId("userId")
+})
+
+export const suspendUserBody = z.object({
+    reason: requiredText("reason", REASON_MAX_LENGTH),
+    until: z.coerce.date()
+        .refine((date) => date > new Date(), "until must be in the future")
+        .optional()
+})
+
+export const banUserBody = z.object({
+    reason: requiredText("reason", REASON_MAX_LENGTH)
+})
+
+export const updateRoleBody = z.object({
+    role: z.enum(ROLES)
+})
+
+export const moderateVideoBody = z.object({
+    reason: requiredText("reason", REASON_MAX_LENGTH)
+})
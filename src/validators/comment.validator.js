@@ -0,0 +1,30 @@
+import { z } from "zod"
+import { objectId, pagination, requiredText } from "./common.validator.js"
+
+export const COMMENT_MAX_LENGTH = 1000
+
+export const videoCommentsParams = z.object({
+    videoId: objectId("videoId")
+})
+
+export const videoCommentsQuery = z.object({
+    ...pagination,
+    sort: z.enum(["newest", "oldest", "top"]).default("newest")
+})
+
+export const commentRepliesQuery = z.object({
+    ...pagination,
+    sort: z.enum(["newest", "oldest", "top"]).default("oldest")
+})
+
+export const commentParams = z.object({
+    commentId: objectId("commentId")
+})
+
+export const commentBody = z.object({
+    content: requiredText("content", COMMENT_MAX_LENGTH)
+})
+
+export const addCommentBody = commentBody.extend({
+    parentId: objectId("parentId").optional()
+})
@@ -0,0 +1,46 @@
+import { z } from "zod"
+
+export const objectId = (name = "id") => z
+    .string({ required_error: `${name} is required` })
+    .regex(/^[a-f\d]{24}$/i, `${name} must be a valid ObjectId`)
+
+export const pagination = {
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(10)
+}
+
+export const paginationQuery = z.object(pagination)
+
+export const PASSWORD_RULES = "at least 8 characters with a letter and a number"
+
+export const password = z
+    .string({ required_error: "password is required" })
+    .max(128, "password must be at most 128 characters")
+    .regex(/^(?=.*[a-zA-Z])(?=.*\d).{8,}$/, `password must be ${PASSWORD_RULES}`)
+
+export const email = z
+    .string({ required_error: "email is required" })
+    .trim()
+    .email("email must be a valid email address")
+
+// multipart bodies only ever contain strings, empty means "not sent"
+export const optionalText = (max) => z
+    .string()
+    .trim()
+    .max(max)
+    .optional()
+    .transform((value) => value || undefined)
+
+// optional date that has to lie in the future, empty multipart fields count as not sent
+export const futureDate = (name) => z.preprocess(
+    (value) => value === "" ? undefined : value,
+    z.coerce.date()
+    .refine((date) => date > new Date(), `${name} must be in the future`)
+    .optional()
+)
+
+export const requiredText = (name, max) => z
+    .string({ required_error: `${name} is required` })
+    .trim()
+    .min(1, `${name} is required`)
+    .max(max, `${name} must be at most ${max} characters`)
@@ -0,0 +1,49 @@
+import { z } from "zod"
+import { objectId, pagination } from "./common.validator.js"
+import { VIDEO_METRICS } from "../models/videoDailyStat.model.js"
+
+export const DEFAULT_RANGE_DAYS = 28
+export const MAX_RANGE_DAYS = 366
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// from and to are inclusive, without them the range is the last 28 days up to today
+const dateRange = {
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional()
+}
+
+const withDefaultRange = (query) => {
+    const to = query.to ?? new Date()
+    const from = query.from ?? new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS)
+    return { ...query, from, to }
+}
+
+const rangeRules = (schema) => schema
+    .transform(withDefaultRange)
+    .refine((query) => query.from <= query.to, {
+        message: "from must not be after to",
+        path: ["from"]
+    })
+    .refine((query) => query.to - query.from < MAX_RANGE_DAYS * DAY_MS, {
+        message: `the range can span at most ${MAX_RANGE_DAYS} days`,
+        path: ["from"]
+    })
+
+export const channelStatsQuery = rangeRules(z.object({
+    ...dateRange,
+    topBy: z.enum(VIDEO_METRICS).default("views"),
+    topLimit: z.coerce.number().int().min(1).max(50).default(10)
+}))
+
+export const channelVideosQuery = z.object({
+    ...pagination,
+    sortBy: z.enum(["createdAt", "views", "likes"]).default("createdAt"),
+    sortType: z.enum(["asc", "desc"]).default("desc")
+})
+
+export const videoStatsParams = z.object({
+    videoId: objectId("videoId")
+})
+
+export const videoStatsQuery = rangeRules(z.object(dateRange))
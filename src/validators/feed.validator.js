@@ -0,0 +1,6 @@
+import { z } from "zod"
+
+export const feedQuery = z.object({
+    limit: z.coerce.number().int().min(1).max(50).default(20),
+    cursor: z.string().max(1000).optional()
+})
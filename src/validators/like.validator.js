@@ -0,0 +1,42 @@
+import { z } from "zod"
+import { objectId, paginationQuery } from "./common.validator.js"
+import { REACTION_TYPES } from "../models/reactionCounts.schema.js"
+
+// every known reaction, which target takes which is checked by the reaction service
+const reactionType = z.enum([...new Set(Object.values(REACTION_TYPES).flat())])
+
+const TARGET_TYPES = {
+    videos: "Video",
+    comments: "Comment",
+    tweets: "Tweet"
+}
+
+export const videoLikeParams = z.object({
+    videoId: objectId("videoId")
+})
+
+export const commentLikeParams = z.object({
+    commentId: objectId("commentId")
+})
+
+export const tweetLikeParams = z.object({
+    tweetId: objectId("tweetId")
+})
+
+export const toggleReactionQuery = z.object({
+    type: reactionType.default("like")
+})
+
+// /likes/videos/:targetId maps to targetType "Video"
+export const reactionParams = z.object({
+    targetType: z
+        .enum(Object.keys(TARGET_TYPES))
+        .transform((targetType) => TARGET_TYPES[targetType]),
+    targetId: objectId("targetId")
+})
+
+export const reactionBody = z.object({
+    type: reactionType
+})
+
+export const likedVideosQuery = paginationQuery
@@ -0,0 +1,18 @@
+import { z } from "zod"
+import { objectId, pagination } from "./common.validator.js"
+import { NOTIFICATION_TYPES } from "../models/notification.model.js"
+
+export const notificationsQuery = z.object({
+    ...pagination,
+    limit: z.coerce.number().int().min(1).max(50).default(20),
+    unread: z.enum(["true", "false"]).transform((value) => value === "true").optional()
+})
+
+export const notificationParams = z.object({
+    notificationId: objectId("notificationId")
+})
+
+export const preferencesBody = z
+    .object(Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, z.boolean().optional()])))
+    .strict()
+    .refine((body) => Object.keys(body).length > 0, "at least one preference is required")
@@ -0,0 +1,27 @@
+import { z } from "zod"
+
+export const providerParams = z.object({
+    provider: z
+        .string({ required_error: "provider is required" })
+        .trim()
+        .toLowerCase()
+        .regex(/^[a-z0-9_-]{1,30}$/, "provider must be a provider name")
+})
+
+// where the browser ends up after the callback, has to be a page of APP_URL
+const redirectTo = z.string().trim().max(2000).optional().transform((value) => value || undefined)
+
+export const authorizeQuery = z.object({
+    redirectTo
+})
+
+export const linkBody = z.object({
+    redirectTo
+})
+
+// providers send either code and state or an error
+export const callbackQuery = z.object({
+    code: z.string().max(2000).optional(),
+    state: z.string().max(200).optional(),
+    error: z.string().max(200).optional()
+})
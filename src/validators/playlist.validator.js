@@ -0,0 +1,58 @@
+import { z } from "zod"
+import { objectId, optionalText, requiredText } from "./common.validator.js"
+import { MAX_PLAYLIST_VIDEOS, PLAYLIST_VISIBILITIES } from "../models/playlist.model.js"
+
+const NAME_MAX_LENGTH = 100
+const DESCRIPTION_MAX_LENGTH = 1000
+
+const position = z.coerce.number().int().min(0).max(MAX_PLAYLIST_VIDEOS - 1)
+
+export const createPlaylistBody = z.object({
+    name: requiredText("name", NAME_MAX_LENGTH),
+    description: optionalText(DESCRIPTION_MAX_LENGTH),
+    visibility: z.enum(PLAYLIST_VISIBILITIES).optional()
+})
+
+export const updatePlaylistBody = z.object({
+    name: requiredText("name", NAME_MAX_LENGTH).optional(),
+    description: z.string().trim().max(DESCRIPTION_MAX_LENGTH).optional(),
+    visibility: z.enum(PLAYLIST_VISIBILITIES).optional()
+}).refine(
+    (body) => Object.values(body).some((value) => value !== undefined),
+    "at least one of name, description or visibility is required"
+)
+
+export const playlistParams = z.object({
+    playlistId: objectId("playlistId")
+})
+
+export const playlistVideoParams = z.object({
+    playlistId: objectId("playlistId"),
+    videoId: objectId("videoId")
+})
+
+// inserts at the end without a position
+export const addVideoBody = z.object({
+    position: position.optional()
+})
+
+export const moveVideoBody = z.object({
+    position
+})
+
+export const reorderPlaylistBody = z.object({
+    videoIds: z.array(objectId("videoId")).max(MAX_PLAYLIST_VIDEOS)
+})
+
+export const collaboratorBody = z.object({
+    userId: objectId("userId")
+})
+
+export const collaboratorParams = z.object({
+    playlistId: objectId("playlistId"),
+    userId: objectId("userId")
+})
+
+export const userPlaylistsParams = z.object({
+    userId: objectId("userId")
+})
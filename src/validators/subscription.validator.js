@@ -0,0 +1,10 @@
+import { z } from "zod"
+import { objectId } from "./common.validator.js"
+
+export const channelParams = z.object({
+    channelId: objectId("channelId")
+})
+
+export const subscriberParams = z.object({
+    subscriberId: objectId("subscriberId")
+})
@@ -0,0 +1,18 @@
+import { z } from "zod"
+import { objectId, paginationQuery, requiredText } from "./common.validator.js"
+
+export const TWEET_MAX_LENGTH = 280
+
+export const tweetBody = z.object({
+    content: requiredText("content", TWEET_MAX_LENGTH)
+})
+
+export const tweetParams = z.object({
+    tweetId: objectId("tweetId")
+})
+
+export const userTweetsParams = z.object({
+    userId: objectId("userId")
+})
+
+export const userTweetsQuery = paginationQuery
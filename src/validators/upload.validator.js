@@ -0,0 +1,16 @@
+import { z } from "zod"
+import { objectId } from "./common.validator.js"
+import { publishVideoBody } from "./video.validator.js"
+
+export const initUploadBody = z.object({
+    fileName: z.string({ required_error: "fileName is required" }).trim().min(1).max(255),
+    fileSize: z.coerce.number().int().positive(),
+    mimeType: z.string().regex(/^video\//, "only video files can be uploaded").optional(),
+    checksum: z.string().regex(/^[a-f0-9]{64}$/i, "checksum must be a hex encoded sha256 digest").optional()
+})
+
+export const uploadParams = z.object({
+    uploadId: objectId("uploadId")
+})
+
+export const finalizeUploadBody = publishVideoBody
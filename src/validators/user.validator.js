@@ -0,0 +1,67 @@
+import { z } from "zod"
+import { objectId, pagination, password, email, requiredText } from "./common.validator.js"
+
+const username = z
+    .string({ required_error: "username is required" })
+    .trim()
+    .toLowerCase()
+    .min(3, "username must be at least 3 characters")
+    .max(30, "username must be at most 30 characters")
+    .regex(/^[a-z0-9_.]+$/, "username can only contain letters, numbers, _ and .")
+
+export const registerBody = z.object({
+    fullName: requiredText("fullName", 100),
+    email,
+    username,
+    password
+})
+
+export const loginBody = z.object({
+    email: z.string().trim().optional(),
+    username: z.string().trim().toLowerCase().optional(),
+    password: z.string({ required_error: "password is required" }).min(1, "password is required")
+}).refine((body) => body.email || body.username, {
+    message: "username or email is required",
+    path: ["username"]
+})
+
+export const tokenBody = z.object({
+    token: z.string({ required_error: "token is required" }).min(1).max(200)
+})
+
+export const forgotPasswordBody = z.object({
+    email
+})
+
+export const resetPasswordBody = z.object({
+    token: z.string({ required_error: "token is required" }).min(1).max(200),
+    newPassword: password
+})
+
+// accounts created through OAuth have no old password, they set their first one here
+export const changePasswordBody = z.object({
+    oldPassword: z.string().optional(),
+    newPassword: password
+})
+
+export const updateAccountBody = z.object({
+    fullName: requiredText("fullName", 100),
+    email
+})
+
+export const usernameParams = z.object({
+    username
+})
+
+export const watchHistoryQuery = z.object({
+    ...pagination,
+    limit: z.coerce.number().int().min(1).max(100).default(20)
+})
+
+export const historyVideoParams = z.object({
+    videoId: objectId("videoId")
+})
+
+export const sessionParams = z.object({
+    sessionId: objectId("sessionId")
+})
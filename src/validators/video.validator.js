@@ -0,0 +1,65 @@
+import { z } from "zod"
+import { objectId, pagination, optionalText, requiredText, futureDate } from "./common.validator.js"
+import { VIDEO_VISIBILITIES } from "../models/video.model.js"
+
+export const TITLE_MAX_LENGTH = 100
+export const DESCRIPTION_MAX_LENGTH = 5000
+
+export const videoIdParams = z.object({
+    videoId: objectId("videoId")
+})
+
+export const renditionParams = videoIdParams.extend({
+    rendition: z.string().regex(/^\d{3,4}p$/, "rendition must look like 480p")
+})
+
+export const getAllVideosQuery = z.object({
+    ...pagination,
+    limit: z.coerce.number().int().min(1).max(50).default(10),
+    query: optionalText(200),
+    sortBy: z.enum(["views", "createdAt", "duration", "relevance"]).optional(),
+    sortType: z.enum(["asc", "desc"]).default("desc"),
+    userId: objectId("userId").optional(),
+    minDuration: z.coerce.number().min(0).optional(),
+    maxDuration: z.coerce.number().min(0).optional(),
+    uploadedAfter: z.coerce.date().optional(),
+    uploadedBefore: z.coerce.date().optional(),
+    isPublished: z.enum(["true", "false", "all"]).optional(),
+    visibility: z.enum(VIDEO_VISIBILITIES).optional(),
+    cursor: z.string().max(1000).optional(),
+    pagination: z.enum(["page", "cursor"]).default("page")
+}).refine((query) => query.sortBy !== "relevance" || query.query, {
+    message: "sortBy relevance requires a search query",
+    path: ["sortBy"]
+})
+
+const visibility = z.preprocess(
+    (value) => value || undefined,
+    z.enum(VIDEO_VISIBILITIES).optional()
+)
+
+export const publishVideoBody = z.object({
+    title: requiredText("title", TITLE_MAX_LENGTH),
+    description: requiredText("description", DESCRIPTION_MAX_LENGTH),
+    visibility,
+    publishAt: futureDate("publishAt")
+})
+
+// publishAt null cancels a pending schedule
+export const updateVisibilityBody = z.object({
+    visibility,
+    publishAt: futureDate("publishAt").nullable()
+}).refine((body) => body.visibility || body.publishAt !== undefined, {
+    message: "visibility or publishAt is required",
+    path: ["visibility"]
+})
+
+export const updateVideoBody = z.object({
+    title: optionalText(TITLE_MAX_LENGTH),
+    description: optionalText(DESCRIPTION_MAX_LENGTH)
+})
+
+export const recordViewBody = z.object({
+    position: z.coerce.number().min(0).default(0),
+    watchedSeconds: z.coerce.number().min(0).default(0)
+})